@@ -0,0 +1,11 @@
+'use strict';
+
+module.exports = {
+
+  // Return path of tracker as GPX, GeoJSON or KML
+  // Query: format (gpx, geojson, kml), from and to (timestamp or ISO date)
+  async getTrack({ homey, params, query }) {
+    return homey.app.exportTrack(params.id, query || {});
+  },
+
+};
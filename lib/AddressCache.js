@@ -0,0 +1,64 @@
+'use strict';
+
+class AddressCache {
+
+  static PRECISION = 4; // Decimals, about 11 meters
+  static TTL = 7; // Days
+  static MAX_SIZE = 1000;
+
+  constructor() {
+    this.entries = new Map();
+  }
+
+  /*
+  | Cache functions
+  */
+
+  // Return cached address, null when missing or expired
+  get(latitude, longitude) {
+    const key = this.key(latitude, longitude);
+    const entry = this.entries.get(key);
+
+    if (!entry) return null;
+
+    if (Date.now() - entry.timestamp > 1000 * 60 * 60 * 24 * this.constructor.TTL) {
+      this.entries.delete(key);
+
+      return null;
+    }
+
+    return entry.address;
+  }
+
+  // Cache address
+  set(latitude, longitude, address) {
+    const key = this.key(latitude, longitude);
+
+    // Move to end, so oldest entries are removed first
+    this.entries.delete(key);
+    this.entries.set(key, { address, timestamp: Date.now() });
+
+    while (this.entries.size > this.constructor.MAX_SIZE) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  // Remove all entries
+  clear() {
+    this.entries.clear();
+  }
+
+  /*
+  | Support functions
+  */
+
+  // Return cache key of rounded coordinates
+  key(latitude, longitude) {
+    const { PRECISION } = this.constructor;
+
+    return `${Number(latitude).toFixed(PRECISION)},${Number(longitude).toFixed(PRECISION)}`;
+  }
+
+}
+
+module.exports = AddressCache;
@@ -5,15 +5,17 @@
 const { OAuth2App } = require('homey-oauth2app');
 const { Log } = require('@drenso/homey-log');
 const OAuth2Util = require('homey-oauth2app/lib/OAuth2Util');
-const AbortController = require('abort-controller');
-const fetch = require('node-fetch');
-const Homey = require('homey');
+const AddressCache = require('./AddressCache');
 const Client = require('./Client');
+const Stream = require('./Stream');
+const { Formats } = require('./Export');
+const { StreamStates } = require('./Enums');
 const { blank } = require('./Utils');
 
 class App extends OAuth2App {
 
   static OAUTH2_CLIENT = Client;
+  static OAUTH2_MULTI_SESSION = true;
 
   /*
   | Application events
@@ -27,6 +29,12 @@ class App extends OAuth2App {
     // Register unload event listener
     this.homey.on('unload', () => this.onOAuth2Uninit());
 
+    // Message streams by OAuth2 session
+    this.streams = {};
+
+    // Reverse geocode cache shared by devices
+    this.addressCache = new AddressCache();
+
     // Register flow cards
     this.registerFlowCards();
 
@@ -35,11 +43,8 @@ class App extends OAuth2App {
 
   // Application destroyed
   async onOAuth2Uninit() {
-    // Unregister timer
-    this.unregisterTimer();
-
-    // Unregister stream
-    await this.unregisterStream();
+    // Unregister streams
+    await this.unregisterStreams();
 
     this.log('Destroyed');
   }
@@ -48,156 +53,39 @@ class App extends OAuth2App {
   | Stream functions
   */
 
-  // Check stream
-  async checkStream() {
-    try {
-      await this.getSavedOAuth2Devices();
-      await this.registerStream();
-    } catch (err) {
-      this.unregisterStream().catch(this.error);
-    }
-  }
-
-  // Register message stream
-  async registerStream() {
-    if (this.stream) return;
-    this.stream = 'register';
-
-    let client;
-
-    try {
-      // Register timer
-      this.registerTimer();
-
-      // Get client
-      client = await this.getSavedOAuth2Client();
-
-      this.log('[Stream] Registering');
-
-      // Get access token
-      const token = client.getToken().access_token || null;
-      if (blank(token)) throw new Error('No OAuth2 Token Found');
-
-      // Set abort controller
-      this.controller = new AbortController();
-
-      // Initiate stream
-      const response = await fetch(Homey.env.TRACTIVE_CHANNEL_URL, {
-        method: 'POST',
-        signal: this.controller.signal,
-        headers: {
-          Authorization: `Bearer ${token}`,
-          Accept: 'application/json',
-          'Content-Type': 'application/json',
-          'X-Tractive-Client': Homey.env.CLIENT_ID,
-        },
-      });
-
-      if (!response.ok) {
-        const err = new Error(`Failed HTTP response (${response.status})`);
-        err.status = response.status;
-        err.statusText = response.statusText;
-
-        throw err;
-      }
-
-      this.stream = response.body;
+  // Register message stream for session
+  async registerStream(sessionId) {
+    if (blank(sessionId)) return;
 
-      this.stream
-        .on('data', this.onStreamMessage.bind(this))
-        .on('close', this.onStreamClosed.bind(this));
-
-      this.log('[Stream] Registered');
-    } catch (err) {
-      // Refresh token when unauthorized
-      if (err.status === 401) {
-        this.log('[Stream] Refresh oAuth token (401)');
-
-        client.refreshToken().catch(this.error);
-      } else if (err.message !== 'No OAuth2 Client Found') {
-        this.error('[Stream]', err.toString());
-      }
-
-      await this.unregisterStream();
-    } finally {
-      client = null;
-    }
-  }
-
-  // Unregister stream
-  async unregisterStream() {
-    if (!this.stream) return;
-
-    // Stream was registering
-    if (this.stream === 'register') {
-      this.stream = null;
-
-      return;
+    if (!this.streams[sessionId]) {
+      this.streams[sessionId] = new Stream({ app: this, sessionId });
     }
 
-    try {
-      this.log('[Stream] Unregistering');
-
-      // Abort request
-      if (this.controller) {
-        if (!this.controller.aborted) {
-          this.log('[Stream] Abort request');
-
-          this.controller.abort();
-        }
-
-        this.controller = null;
-      }
-
-      // Destroy stream
-      if (!this.stream.destroyed) {
-        this.stream.destroy();
-      }
-    } catch (err) {
-      this.error('[Stream]', err.toString());
-    } finally {
-      this.stream = null;
-
-      this.log('[Stream] Unregistered');
-    }
+    await this.streams[sessionId].register();
   }
 
-  /*
-  | Stream events
-  */
-
-  // Stream connection closed
-  onStreamClosed(err) {
-    this.stream = null;
+  // Unregister message stream for session
+  async unregisterStream(sessionId) {
+    const stream = this.streams[sessionId];
+    if (!stream) return;
 
-    let msg = '[Stream] Connection closed';
-    if (err) msg += ` due to error "${err}"`;
+    delete this.streams[sessionId];
 
-    this.log(msg);
+    await stream.unregister();
   }
 
-  // Stream message received
-  async onStreamMessage(buffer) {
-    let body;
-    let data;
-
-    body = Buffer.from(buffer).toString('utf8');
-    if (blank(body)) return;
-
-    try {
-      data = JSON.parse(body);
-    } catch (err) {
-      this.error('[Stream] Invalid body:', body);
-      data = {};
+  // Unregister all message streams
+  async unregisterStreams() {
+    for (const sessionId of Object.keys(this.streams)) {
+      await this.unregisterStream(sessionId);
     }
+  }
 
-    // Update message
-    if (data.message) {
-      this.homey.emit('update', data);
-    }
+  // Return stream state for session
+  getStreamState(sessionId) {
+    const stream = this.streams[sessionId];
 
-    data = null;
-    body = null;
+    return stream ? stream.state : StreamStates.IDLE;
   }
 
   /*
@@ -221,6 +109,7 @@ class App extends OAuth2App {
   registerGlobalFlowCards() {
     this.geofenceConditionCard = this.homey.flow.getConditionCard('geofence');
     this.geofenceTriggerCard = this.homey.flow.getDeviceTriggerCard('geofence_changed');
+    this.insideGeofenceConditionCard = this.homey.flow.getConditionCard('inside_geofence');
     this.powerSavingZoneConditionCard = this.homey.flow.getConditionCard('power_saving_zone');
     this.powerSavingZoneTriggerCard = this.homey.flow.getDeviceTriggerCard('power_saving_zone_changed');
   }
@@ -233,8 +122,8 @@ class App extends OAuth2App {
     });
 
     // ... then turn on sound ...
-    this.homey.flow.getActionCard('buzzer_control_true').registerRunListener(async ({ device }) => {
-      await device.setBuzzer(true);
+    this.homey.flow.getActionCard('buzzer_control_true').registerRunListener(async ({ device, duration }) => {
+      await device.setBuzzer(true, Number(duration) || 0);
     });
 
     // ... then turn off light ...
@@ -243,8 +132,8 @@ class App extends OAuth2App {
     });
 
     // ... then turn on light ...
-    this.homey.flow.getActionCard('led_control_true').registerRunListener(async ({ device }) => {
-      await device.setLight(true);
+    this.homey.flow.getActionCard('led_control_true').registerRunListener(async ({ device, duration }) => {
+      await device.setLight(true, Number(duration) || 0);
     });
 
     // ... then stop LIVE Tracking ...
@@ -253,8 +142,47 @@ class App extends OAuth2App {
     });
 
     // ... then start LIVE Tracking ...
-    this.homey.flow.getActionCard('live_tracking_true').registerRunListener(async ({ device }) => {
-      await device.setLive(true);
+    this.homey.flow.getActionCard('live_tracking_true').registerRunListener(async ({ device, duration }) => {
+      await device.setLive(true, Number(duration) || 0);
+    });
+
+    // ... then start lost-pet mode ...
+    this.homey.flow.getActionCard('lost_pet_mode_start').registerRunListener(async ({ device, duration }) => {
+      await device.startLostMode(Number(duration) || 0);
+    });
+
+    // ... then stop lost-pet mode ...
+    this.homey.flow.getActionCard('lost_pet_mode_stop').registerRunListener(async ({ device }) => {
+      await device.stopLostMode();
+    });
+
+    // ... then get location from ... minutes ago ...
+    this.homey.flow.getActionCard('get_position_at').registerRunListener(async ({ device, minutes }) => {
+      const position = device.getPositionAt(Date.now() - (1000 * 60 * minutes));
+
+      if (blank(position)) {
+        throw new Error(this.homey.__('error.no_position'));
+      }
+
+      return {
+        time: new Date(position.timestamp).toISOString(),
+        latitude: position.latitude,
+        longitude: position.longitude,
+        altitude: Number(position.altitude) || 0,
+        speed: Number(position.speed) || 0,
+        location_source: position.location_source || '',
+        accuracy: Number(position.accuracy) || 0,
+      };
+    });
+
+    // ... then get last ... locations ...
+    this.homey.flow.getActionCard('get_last_positions').registerRunListener(async ({ device, count }) => {
+      const positions = device.getLastPositions(count);
+
+      return {
+        positions: JSON.stringify(positions),
+        count: positions.length,
+      };
     });
   }
 
@@ -270,6 +198,11 @@ class App extends OAuth2App {
       return device.getCapabilityValue('buzzer_control') === true;
     });
 
+    // ... and movement is ...
+    this.homey.flow.getConditionCard('movement_state').registerRunListener(async ({ device, movement_state }) => {
+      return device.getCapabilityValue('movement_state') === movement_state;
+    });
+
     // ... and is charging...
     this.homey.flow.getConditionCard('charging_state').registerRunListener(async ({ device }) => {
       return device.getCapabilityValue('charging_state') === true;
@@ -280,6 +213,11 @@ class App extends OAuth2App {
       return device.getCapabilityValue('geofence') === geofence.name.trim();
     });
 
+    // ... and is inside virtual fence ...
+    this.insideGeofenceConditionCard.registerRunListener(async ({ device, geofence }) => {
+      return device.isInGeofence(geofence.id);
+    });
+
     // ... and light is on ...
     this.homey.flow.getConditionCard('led_control').registerRunListener(async ({ device }) => {
       return device.getCapabilityValue('led_control') === true;
@@ -318,6 +256,44 @@ class App extends OAuth2App {
       return device.getCapabilityValue('battery_state') === battery_state;
     });
 
+    // ... When activity is below ... at ...
+    this.homey.flow.getDeviceTriggerCard('activity_below').registerRunListener(async ({ minutes, time }, state) => {
+      return state.time === time && state.activity < minutes;
+    });
+
+    // ... When battery dropped below ...
+    this.homey.flow.getDeviceTriggerCard('battery_below').registerRunListener(async ({ device, percentage }, state) => {
+      if (state.battery >= percentage || state.alerted.includes(percentage)) return false;
+
+      await device.addBatteryAlert('below', percentage);
+
+      return true;
+    });
+
+    // ... When battery runs out within ... hours ...
+    this.homey.flow.getDeviceTriggerCard('battery_runs_out').registerRunListener(async ({ device, hours }, state) => {
+      if (state.hours === null || state.hours >= hours || state.alerted.includes(hours)) return false;
+
+      await device.addBatteryAlert('runs_out', hours);
+
+      return true;
+    });
+
+    // ... When daily summary at ...
+    this.homey.flow.getDeviceTriggerCard('daily_summary').registerRunListener(async ({ time }, state) => {
+      return state.time === time;
+    });
+
+    // ... When distance from home became greater than ...
+    this.homey.flow.getDeviceTriggerCard('distance_home_greater').registerRunListener(async ({ distance }, state) => {
+      return state.previous <= distance && state.distance > distance;
+    });
+
+    // ... When weekly summary on ... at ...
+    this.homey.flow.getDeviceTriggerCard('weekly_summary').registerRunListener(async ({ day, time }, state) => {
+      return state.weekday === day && state.time === time;
+    });
+
     // ... When geofence changed to ...
     this.geofenceTriggerCard.registerRunListener(async ({ device, geofence }) => {
       return device.getCapabilityValue('geofence') === geofence.name.trim();
@@ -328,6 +304,30 @@ class App extends OAuth2App {
       return device.getCapabilityValue('location_source') === location_source;
     });
 
+    // ... When movement changed to ...
+    this.homey.flow.getDeviceTriggerCard('movement_state_changed').registerRunListener(async ({ device, movement_state }) => {
+      return device.getCapabilityValue('movement_state') === movement_state;
+    });
+
+    // ... When moving faster than ... km/h for ... seconds outside a safe zone ...
+    this.homey.flow.getDeviceTriggerCard('moving_fast').registerRunListener(async ({ device, speed, seconds }, state) => {
+      const key = `${speed}:${seconds}`;
+      const duration = device.getSpeedDuration(speed);
+
+      // Enable alert again when speed dropped, zero seconds means currently moving faster
+      if (duration === 0 || duration < seconds) {
+        device.removeSpeedAlert(key);
+
+        return false;
+      }
+
+      if (state.alerted.includes(key)) return false;
+
+      device.addSpeedAlert(key);
+
+      return true;
+    });
+
     // ... When Power Saving Zone changed to ...
     this.powerSavingZoneTriggerCard.registerRunListener(async ({ device, power_saving_zone }) => {
       return device.getCapabilityValue('power_saving_zone') === power_saving_zone.name.trim();
@@ -343,38 +343,33 @@ class App extends OAuth2App {
   registerArgumentAutocompleteListeners() {
     this.geofenceConditionCard.registerArgumentAutocompleteListener('geofence', this.geofenceAutocomplete.bind(this));
     this.geofenceTriggerCard.registerArgumentAutocompleteListener('geofence', this.geofenceAutocomplete.bind(this));
+    this.insideGeofenceConditionCard.registerArgumentAutocompleteListener('geofence', this.allGeofenceAutocomplete.bind(this));
     this.powerSavingZoneConditionCard.registerArgumentAutocompleteListener('power_saving_zone', this.powerSavingZoneAutocomplete.bind(this));
     this.powerSavingZoneTriggerCard.registerArgumentAutocompleteListener('power_saving_zone', this.powerSavingZoneAutocomplete.bind(this));
   }
 
   /*
-  | Timer functions
+  | Support functions
   */
 
-  // Register timer
-  registerTimer() {
-    if (this.checkTimer) return;
-
-    const interval = 1000 * 10;
-    this.checkTimer = this.homey.setInterval(this.checkStream.bind(this), interval);
-
-    this.log('[Timer] Registered');
-  }
-
-  // Unregister timer
-  unregisterTimer() {
-    if (!this.checkTimer) return;
+  // Return values for Tractive and local geofence autocomplete
+  async allGeofenceAutocomplete(query, args) {
+    const fences = [
+      ...(args.device.getStoreValue('geofences') || []),
+      ...args.device.getLocalGeofences(),
+    ];
 
-    this.homey.clearInterval(this.checkTimer);
-    this.checkTimer = null;
+    const results = fences.map((fence) => ({
+      name: fence.name,
+      id: fence._id,
+    }));
 
-    this.log('[Timer] Unregistered');
+    // filter based on the query
+    return results.filter((result) => {
+      return result.name.toLowerCase().includes(query.toLowerCase().trim());
+    });
   }
 
-  /*
-  | Support functions
-  */
-
   // Return values for geofence autocomplete
   async geofenceAutocomplete(query, args) {
     const fences = args.device.getStoreValue('geofences');
@@ -437,17 +432,54 @@ class App extends OAuth2App {
     });
   }
 
+  /*
+  | API functions
+  */
+
+  // Return exported path of tracker
+  async exportTrack(id, { format, from, to }) {
+    format = (format || 'geojson').toLowerCase();
+
+    if (!Formats.includes(format)) {
+      throw new Error(this.homey.__('error.export_format'));
+    }
+
+    const end = blank(to) ? Date.now() : new Date(Number(to) || to).getTime();
+    const start = blank(from) ? end - (1000 * 60 * 60 * 24) : new Date(Number(from) || from).getTime();
+
+    if (Number.isNaN(start) || Number.isNaN(end)) {
+      throw new Error(this.homey.__('error.export_time'));
+    }
+
+    const devices = await this.getDevices();
+    const device = devices.find((entry) => entry.getData().id === id);
+
+    if (blank(device)) {
+      throw new Error(this.homey.__('error.404'));
+    }
+
+    return device.exportTrack(format, start, end);
+  }
+
   /*
   | OAuth2 functions
   */
 
-  // Set client for OAuth2 devices
-  async setClientOAuth2Devices(client, OAuth2SessionId, OAuth2ConfigId) {
-    let devices = await this.getDevices();
-    if (blank(devices)) return;
+  // Set client for repaired device and devices of the same session
+  async setClientOAuth2Devices(client, OAuth2SessionId, OAuth2ConfigId, repaired) {
+    // Devices of another account keep their own session
+    let devices = (await this.getDevices()).filter((device) => {
+      if (device === repaired) return true;
+
+      return device.getStoreValue('OAuth2SessionId') === OAuth2SessionId;
+    });
 
     this.log('Update device clients');
 
+    // Reconnect stream with new client when devices are initialized,
+    // stream of previous session stops when it has no devices left
+    await this.unregisterStream(OAuth2SessionId);
+
     for (const device of devices) {
       await device.onOAuth2Uninit();
       await device.setStoreValue('OAuth2SessionId', OAuth2SessionId);
@@ -461,15 +493,14 @@ class App extends OAuth2App {
     devices = null;
   }
 
-  // Return OAuth2 devices
-  async getSavedOAuth2Devices() {
+  // Return OAuth2 devices of session
+  async getSavedOAuth2Devices(sessionId) {
     const sessions = this.getSavedOAuth2Sessions();
 
-    if (blank(sessions)) {
+    if (blank(sessions) || !(sessionId in sessions)) {
       throw new Error('No OAuth2 Session Found');
     }
 
-    const sessionId = Object.keys(sessions)[0];
     const devices = await this.getOAuth2Devices({ sessionId });
 
     if (blank(devices)) {
@@ -479,17 +510,31 @@ class App extends OAuth2App {
     return devices;
   }
 
-  // Return OAuth2 client
-  async getSavedOAuth2Client() {
+  // Return OAuth2 client of session
+  async getSavedOAuth2Client(sessionId) {
     try {
-      return this.getFirstSavedOAuth2Client();
+      return this.getSessionOAuth2Client(sessionId);
     } catch (err) {
       await new Promise((resolve) => setTimeout(resolve, 1000));
 
-      return this.getFirstSavedOAuth2Client();
+      return this.getSessionOAuth2Client(sessionId);
     }
   }
 
+  // Return OAuth2 client of saved session
+  getSessionOAuth2Client(sessionId) {
+    const sessions = this.getSavedOAuth2Sessions();
+
+    if (blank(sessions) || !(sessionId in sessions)) {
+      throw new Error('No OAuth2 Session Found');
+    }
+
+    return this.getOAuth2Client({
+      sessionId,
+      configId: sessions[sessionId].configId,
+    });
+  }
+
 }
 
 module.exports = App;
@@ -0,0 +1,61 @@
+'use strict';
+
+const MIN_DURATION = 60 * 60 * 1000; // Milliseconds
+const MAX_INTERVAL = 12 * 60 * 60 * 1000; // Milliseconds
+
+/**
+ * Return discharge rates in percent per hour for LIVE Tracking and normal
+ * mode. Intervals while charging, with a rising level or with a long gap
+ * between samples are ignored. A rate is null when there is not enough data.
+ *
+ * @param  samples
+ * @return object
+ */
+const dischargeRates = function dischargeRates(samples) {
+  const totals = {
+    live: { drop: 0, duration: 0 },
+    normal: { drop: 0, duration: 0 },
+  };
+
+  for (let i = 1; i < samples.length; i++) {
+    const from = samples[i - 1];
+    const to = samples[i];
+    const duration = to.timestamp - from.timestamp;
+
+    if (from.charging || to.charging) continue;
+    if (to.level > from.level) continue;
+    if (duration <= 0 || duration > MAX_INTERVAL) continue;
+
+    const total = totals[from.live ? 'live' : 'normal'];
+
+    total.drop += from.level - to.level;
+    total.duration += duration;
+  }
+
+  const rate = ({ drop, duration }) => {
+    if (duration < MIN_DURATION || drop <= 0) return null;
+
+    return drop / (duration / (60 * 60 * 1000));
+  };
+
+  return {
+    live: rate(totals.live),
+    normal: rate(totals.normal),
+  };
+};
+
+/**
+ * Return estimated hours remaining for battery level and discharge rate.
+ *
+ * @param  level
+ * @param  rate
+ * @return number|null
+ */
+const hoursRemaining = function hoursRemaining(level, rate) {
+  if (!Number.isFinite(level) || !rate) return null;
+
+  return Math.round(level / rate);
+};
+
+module.exports.dischargeRates = dischargeRates;
+module.exports.hoursRemaining = hoursRemaining;
@@ -16,6 +16,10 @@ class Client extends OAuth2Client {
   static AUTHORIZATION_URL = '';
   static SCOPES = [];
 
+  static POSITION_PAGE_SIZE = 60 * 60 * 6; // Seconds
+  static COMMAND_TIMEOUT = 60; // Seconds
+  static COMMAND_POLL_INTERVAL = 10; // Seconds
+
   /*
   | Device discovery functions
   */
@@ -42,6 +46,38 @@ class Client extends OAuth2Client {
     };
   }
 
+  // Return position history for tracker between timestamps (ms)
+  async getPositionHistory(trackerId, from, to) {
+    const start = Math.floor(from / 1000);
+    const end = Math.floor(to / 1000);
+    const positions = [];
+
+    // Request history in pages of limited time range
+    for (let pageStart = start; pageStart < end; pageStart += this.constructor.POSITION_PAGE_SIZE) {
+      const pageEnd = Math.min(end, pageStart + this.constructor.POSITION_PAGE_SIZE);
+
+      const segments = await this._get(`/tracker/${trackerId}/positions?time_from=${pageStart}&time_to=${pageEnd}&format=json_segments`);
+
+      if (blank(segments)) continue;
+
+      for (const position of collect(segments).flatten(1).all()) {
+        if (blank(position) || blank(position.latlong)) continue;
+
+        positions.push({
+          timestamp: Number(position.time) * 1000,
+          latitude: Number(position.latlong[0]),
+          longitude: Number(position.latlong[1]),
+          altitude: 'alt' in position ? Number(position.alt) : null,
+          speed: Number(position.speed || 0),
+          location_source: position.sensor_used ? position.sensor_used.toLowerCase() : null,
+          accuracy: 'pos_uncertainty' in position ? Number(position.pos_uncertainty) : null,
+        });
+      }
+    }
+
+    return positions;
+  }
+
   /*
   | Power Saving Zone functions
   */
@@ -56,6 +92,17 @@ class Client extends OAuth2Client {
     return this._get(`/tracker/${trackerId}/power_saving_zones`);
   }
 
+  // Return power saving zones for tracker, none when not allowed
+  async getPowerSavingZonesOrNone(trackerId) {
+    try {
+      return await this.getPowerSavingZones(trackerId);
+    } catch (err) {
+      if (err.status !== 403) throw err;
+
+      return [];
+    }
+  }
+
   /*
   | Geofence functions
   */
@@ -65,6 +112,89 @@ class Client extends OAuth2Client {
     return this._get(`/tracker/${trackerId}/geofences`);
   }
 
+  // Return geofences for tracker, none when not allowed
+  async getGeofencesOrNone(trackerId) {
+    try {
+      return await this.getGeofences(trackerId);
+    } catch (err) {
+      if (err.status !== 403) throw err;
+
+      return [];
+    }
+  }
+
+  /*
+  | Health functions
+  */
+
+  // Return health overview of pet
+  async getHealthOverview(petId) {
+    const result = await this._get(`/pet/${petId}/health/overview`);
+
+    const activity = result.activity || {};
+    const sleep = result.sleep || {};
+
+    return {
+      activity_minutes: Number(activity.minutesActive || 0),
+      activity_goal: Number(activity.minutesGoal || 0),
+      calories: Number(activity.calories || 0),
+      rest_minutes: Number(sleep.minutesCalm || 0),
+      sleep_minutes: Number(sleep.minutesDaySleep || 0) + Number(sleep.minutesNightSleep || 0),
+    };
+  }
+
+  // Return health overview of pet, or none when unavailable (no premium plan)
+  async getHealthOverviewOrNone(petId) {
+    try {
+      return await this.getHealthOverview(petId);
+    } catch (err) {
+      this.error('[Health]', err.toString());
+
+      return null;
+    }
+  }
+
+  /*
+  | Pet functions
+  */
+
+  // Return all pets
+  async getPets() {
+    const objects = await this._get('/user/me/trackable_objects');
+    if (blank(objects)) return [];
+
+    const result = await this._bulk(objects.map((e) => ({ _type: e._type, _id: e._id })));
+
+    return collect(result)
+      .filter((e) => e._type === 'pet' && filled(e.details))
+      .map((e) => this.enrichPetData(e))
+      .all();
+  }
+
+  // Return all pets, or none when unavailable
+  async getPetsOrNone() {
+    try {
+      return await this.getPets();
+    } catch (err) {
+      this.error('[Pets]', err.toString());
+
+      return [];
+    }
+  }
+
+  enrichPetData(pet) {
+    const { details } = pet;
+
+    return {
+      _id: pet._id,
+      name: (details.name || '').trim(),
+      species: (details.pet_type || '').toLowerCase(),
+      picture_url: details.profile_picture_id ? `${this.constructor.API_URL}/media/resource/${details.profile_picture_id}.96_96_1.jpg` : null,
+      tracker_id: pet.device_id || null,
+      read_only: pet.read_only === true,
+    };
+  }
+
   /*
   | Tracker functions
   */
@@ -85,16 +215,19 @@ class Client extends OAuth2Client {
       .map((e, i) => this.getBulkTrackerEntries(i))
       .flatten(1).all());
 
+    const pets = await this.getPetsOrNone();
+
     return collect(result)
       .filter((e) => e._type === 'tracker')
-      .map((e) => this.enrichTrackerData(e, result))
+      .map((e) => this.enrichTrackerData(e, result, pets))
       .all();
   }
 
   // Return single tracker
   async getTracker(id) {
-    const powerSavingZones = await this.getPowerSavingZones(id);
-    const geofences = await this.getGeofences(id);
+    // Shared trackers may not allow reading zones and geofences
+    const powerSavingZones = await this.getPowerSavingZonesOrNone(id);
+    const geofences = await this.getGeofencesOrNone(id);
 
     const result = await this._bulk([
       ...this.getBulkTrackerEntries(id),
@@ -107,11 +240,20 @@ class Client extends OAuth2Client {
     const tracker = result.find((e) => e._type === 'tracker') || {};
     if (blank(tracker)) return {};
 
-    return this.enrichTrackerData(tracker, result);
+    const pets = await this.getPetsOrNone();
+    const data = this.enrichTrackerData(tracker, result, pets);
+
+    // Activity and sleep of assigned pet
+    if (filled(data.pet)) {
+      data.health = await this.getHealthOverviewOrNone(data.pet._id);
+    }
+
+    return data;
   }
 
-  enrichTrackerData(tracker, data) {
+  enrichTrackerData(tracker, data, pets = []) {
     const { _id } = tracker;
+    const pet = pets.find((e) => e.tracker_id === _id) || null;
 
     return {
       ...tracker,
@@ -124,6 +266,8 @@ class Client extends OAuth2Client {
       live_tracking: data.find((e) => e._id === `${_id}_live_tracking`) || null,
       buzzer_control: data.find((e) => e._id === `${_id}_buzzer_control`) || null,
       power_saving_zones: data.filter((e) => e.device_id === _id && e._type === 'power_saving_zone') || null,
+      pet,
+      read_only: tracker.read_only === true || (filled(pet) && pet.read_only),
     };
   }
 
@@ -131,15 +275,111 @@ class Client extends OAuth2Client {
   | Command functions
   */
 
-  // Send command
+  // Send command, resolves when Tractive confirms the requested state
   async sendCommand(id, command, enable) {
     const state = enable ? 'on' : 'off';
+    const key = `${id}_${command}`;
+
+    // Same command is already waiting for confirmation
+    if (this.commands[key] && this.commands[key].enable === enable) {
+      return this.commands[key].promise;
+    }
+
+    // Replace pending command with opposite state
+    this.settleCommand(key, new Error(this.homey.__('error.command_replaced')));
 
     const response = await this._get(`/tracker/${id}/command/${command}/${state}`);
 
     if (!response.pending) {
       throw new Error(this.homey.__('error.command'));
     }
+
+    return this.waitForCommand(id, command, enable);
+  }
+
+  // Wait for command state confirmed by stream or poll
+  waitForCommand(id, command, enable) {
+    const key = `${id}_${command}`;
+    const entry = { enable, seenPending: false };
+
+    entry.promise = new Promise((resolve, reject) => {
+      entry.resolve = resolve;
+      entry.reject = reject;
+    });
+
+    // Poll command state
+    entry.pollTimer = this.homey.setInterval(() => {
+      this.pollCommand(id, command).catch(this.error);
+    }, 1000 * this.constructor.COMMAND_POLL_INTERVAL);
+
+    // Command not confirmed in time
+    entry.timeoutTimer = this.homey.setTimeout(() => {
+      const err = new Error(this.homey.__('error.command_timeout'));
+      err.code = 'timeout';
+
+      this.settleCommand(key, err);
+    }, 1000 * this.constructor.COMMAND_TIMEOUT);
+
+    this.commands[key] = entry;
+
+    return entry.promise;
+  }
+
+  // Poll command state
+  async pollCommand(id, command) {
+    const result = await this._bulk([{ _type: 'tracker_command_state', _id: `${id}_${command}` }]);
+    if (blank(result)) return;
+
+    this.onCommandState(id, command, result.find((e) => e._id === `${id}_${command}`));
+  }
+
+  // Command state received from stream or poll
+  onCommandState(id, command, state) {
+    const key = `${id}_${command}`;
+    const entry = this.commands[key];
+
+    if (!entry || blank(state)) return;
+
+    // Still processing
+    if (state.pending) {
+      entry.seenPending = true;
+
+      return;
+    }
+
+    // Confirmed
+    if (state.active === entry.enable) {
+      this.log(`[Command] '${key}' confirmed`);
+      this.settleCommand(key);
+
+      return;
+    }
+
+    // Processed by tracker, but not in requested state. States without a
+    // pending report first can be stale messages sent before the command.
+    if (entry.seenPending) {
+      const err = new Error(this.homey.__('error.command_failed'));
+      err.code = 'failed';
+
+      this.settleCommand(key, err);
+    }
+  }
+
+  // Resolve or reject pending command
+  settleCommand(key, err = null) {
+    const entry = this.commands[key];
+    if (!entry) return;
+
+    delete this.commands[key];
+
+    this.homey.clearInterval(entry.pollTimer);
+    this.homey.clearTimeout(entry.timeoutTimer);
+
+    if (err) {
+      entry.reject(err);
+    } else {
+      entry.resolve();
+    }
   }
 
   // Control buzzer sound
@@ -216,11 +456,18 @@ class Client extends OAuth2Client {
 
   // Client initialized
   async onInit() {
+    // Commands waiting for confirmation
+    this.commands = {};
+
     this.log('Initialized');
   }
 
   // Client destroyed
   async onUninit() {
+    for (const key of Object.keys(this.commands || {})) {
+      this.settleCommand(key, new Error(this.homey.__('error.command_timeout')));
+    }
+
     this.log('Destroyed');
   }
 
@@ -280,7 +527,7 @@ class Client extends OAuth2Client {
     let error;
 
     // Client errors
-    if (status === 401 || status === 403 || status === 404) {
+    if (status === 401 || status === 404) {
       error = new Error(this.homey.__(`error.${status}`));
     }
 
@@ -294,6 +541,11 @@ class Client extends OAuth2Client {
       error = new Error(body.message);
     }
 
+    // Not allowed, for example a tracker shared with limited access
+    if (status === 403) {
+      error = new Error(this.homey.__('error.403'));
+    }
+
     // Unknown error
     if (blank(error)) {
       error = new Error(this.homey.__('error.unknown'));
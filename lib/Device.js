@@ -2,12 +2,41 @@
 
 const geo = require('geolib');
 const { OAuth2Device } = require('homey-oauth2app');
-const { TrackerCapabilities, TrackerNamesBySku, TrackerNames } = require('./Enums');
+const {
+  AccessLevels, HealthCapabilities, StreamStates, TrackerCapabilities, TrackerNamesBySku, TrackerNames,
+} = require('./Enums');
+const PositionHistory = require('./PositionHistory');
+const Battery = require('./Battery');
+const Export = require('./Export');
+const Geofence = require('./Geofence');
+const NominatimGeocoder = require('./NominatimGeocoder');
+const TractiveGeocoder = require('./TractiveGeocoder');
+const Movement = require('./Movement');
 const { filled, blank } = require('./Utils');
 
 class Device extends OAuth2Device {
 
   static SYNC_INTERVAL = 30; // Minutes
+  static BACKFILL_MAX_AGE = 24; // Hours
+  static BACKFILL_MIN_GAP = 5; // Minutes
+  static POSITIONS_SAVE_DELAY = 5; // Minutes
+  static LOST_MODE_SYNC_INTERVAL = 1; // Minutes
+  static COMMAND_ATTEMPTS = 3;
+  static COMMAND_RETRY_DELAY = 5; // Seconds
+  static TREND_WINDOW = 15; // Minutes
+  static TREND_MIN_POSITIONS = 3;
+  static TREND_MIN_DISTANCE = 25; // Meters
+  static BATTERY_HISTORY = 7; // Days
+  static BATTERY_MAX_SAMPLES = 500;
+  static BATTERY_HYSTERESIS = 5; // Percent
+  static CHARGE_PLATEAU = 30; // Minutes
+  static CHARGE_PLATEAU_MIN_LEVEL = 90; // Percent
+  static INSIGHTS_MAX_GAP = 60; // Minutes
+  static SUMMARY_DAYS = 7;
+  static SUMMARY_DAY_START = '04:00'; // Local time, summaries before summarize the previous day
+  static MOVEMENT_WINDOW = 2; // Minutes
+  static MOVEMENT_MAX_ACCURACY = 100; // Meters
+  static ADDRESS_MIN_MOVEMENT = 50; // Meters
 
   /*
   | Device events
@@ -20,9 +49,54 @@ class Device extends OAuth2Device {
 
   // Device deleted
   async onOAuth2Deleted() {
+    // Remove insights logs
+    await this.deleteInsights();
+
     this.log('Deleted');
   }
 
+  // Settings changed
+  async onSettings({ newSettings, changedKeys }) {
+    // Home location
+    if (changedKeys.includes('home_latitude') || changedKeys.includes('home_longitude')) {
+      const latitude = (newSettings.home_latitude || '').trim();
+      const longitude = (newSettings.home_longitude || '').trim();
+
+      if (blank(latitude) !== blank(longitude)) {
+        throw new Error(this.homey.__('error.home_location'));
+      }
+
+      if (filled(latitude) && (Math.abs(Number(latitude)) > 90 || Math.abs(Number(longitude)) > 180
+        || Number.isNaN(Number(latitude)) || Number.isNaN(Number(longitude)))) {
+        throw new Error(this.homey.__('error.home_location'));
+      }
+    }
+
+    // Nominatim URL
+    if (changedKeys.includes('nominatim_url') || changedKeys.includes('geocoder')) {
+      const url = (newSettings.nominatim_url || '').trim();
+
+      if (filled(url) && !/^https?:\/\/\S+$/i.test(url)) {
+        throw new Error(this.homey.__('error.nominatim_url'));
+      }
+
+      if (blank(url) && newSettings.geocoder === 'nominatim') {
+        throw new Error(this.homey.__('error.nominatim_url'));
+      }
+    }
+
+    // Local geofences
+    if (changedKeys.includes('local_geofences')) {
+      try {
+        this.localGeofences = Geofence.parseLocal(newSettings.local_geofences);
+      } catch (err) {
+        throw new Error(this.homey.__('error.local_geofences', { message: err.message }));
+      }
+
+      this.log('[Settings] Local geofences updated');
+    }
+  }
+
   // Device initialized
   async onOAuth2Init() {
     // Connecting to API
@@ -31,28 +105,65 @@ class Device extends OAuth2Device {
     // Set device ID
     this._id = this.getData().id;
 
+    // Load position history
+    this.history = new PositionHistory(this.getStoreValue('positions') || []);
+
+    // Commands waiting for confirmation
+    this.pendingCommands = [];
+
+    // Load local geofences
+    this.setLocalGeofences(this.getSetting('local_geofences'));
+
     // Register timer
     this.registerTimer();
 
+    // Register capability listeners
+    this.registerCapabilityListeners();
+
+    // Apply access level of (shared) tracker
+    await this.syncAccessLevel();
+
     // Register event listener
     await this.registerEventListener();
 
     // Wait for application
     await this.homey.ready();
 
-    // Register stream
-    await this.homey.app.registerStream();
+    // Register stream of session
+    await this.homey.app.registerStream(this.getSessionId());
+
+    // Set current stream state
+    await this.onStreamState(this.homey.app.getStreamState(this.getSessionId()), this.getSessionId());
+
+    // Last known position before synchronizing
+    const latest = this.history.latest();
 
     // Synchronize
     await this.sync();
 
+    // Fill gaps in position history since last known position
+    await this.backfillPositions(latest ? latest.timestamp : null);
+
+    // Restore lost-pet mode
+    await this.restoreLostMode();
+
+    // Restore auto-off timers
+    await this.restoreAutoOff();
+
     this.log('Initialized');
   }
 
   // Device destroyed
   async onOAuth2Uninit() {
-    // Unregister timer
+    // Unregister timers
     this.unregisterTimer();
+    this.unregisterLostModeTimer();
+    this.unregisterAutoOffTimers();
+
+    // Save pending positions
+    if (this.positionsTimer) {
+      await this.persistPositions().catch(this.error);
+    }
 
     // Unregister event listener
     await this.unregisterEventListener();
@@ -83,17 +194,35 @@ class Device extends OAuth2Device {
     }
   }
 
-  // Handle sync data
+  // Handle sync data, one message at a time in order of arrival
   async handleSyncData(raw) {
+    const queued = (this.syncQueue || Promise.resolve()).then(() => this.processSyncData(raw));
+
+    // Next message waits, also when this one fails
+    this.syncQueue = queued.catch(() => {});
+
+    return queued;
+  }
+
+  // Process sync data
+  async processSyncData(raw) {
     if (blank(raw)) return;
 
     let parsed;
     let data;
 
     try {
+      // Confirm pending commands
+      this.confirmCommands(raw);
+
       parsed = await this.parseData(raw);
+
+      // Cancel auto-off when turned off by other means
+      await this.checkAutoOff(parsed);
       data = await this.processData(parsed);
 
+      await this.updateInsights(data);
+
       await this.syncCapabilities(data);
       await this.triggerFlows(data);
       await this.syncSettings(data);
@@ -114,9 +243,6 @@ class Device extends OAuth2Device {
   async syncWarning(data) {
     const state = data.tracker_state || data.tracker_state_reason || null;
 
-    // Tracker state
-    if (blank(state)) return null;
-
     const reasons = ['not_reporting', 'out_of_battery', 'shutdown_by_user'];
 
     // Not available
@@ -124,12 +250,62 @@ class Device extends OAuth2Device {
       return this.setWarning(this.homey.__(`warning.${state}`));
     }
 
+    // No reports received within configured window
+    if (filled(this.getStoreValue('stale_since'))) {
+      return this.setWarning(this.homey.__('warning.not_reporting_local'));
+    }
+
+    // Tracker state
+    if (blank(state)) return null;
+
     // Remove warning
     return this.unsetWarning();
   }
 
   // Synchronize capabilites
   async syncCapabilities(data) {
+    // Battery time remaining
+    if (!this.hasCapability('battery_remaining')) {
+      this.addCapability('battery_remaining').catch(this.error);
+      this.log('Added \'battery_remaining\' capability');
+    }
+
+    // Last full charge
+    if (!this.hasCapability('last_full_charge')) {
+      this.addCapability('last_full_charge').catch(this.error);
+      this.log('Added \'last_full_charge\' capability');
+    }
+
+    // Movement
+    if (!this.hasCapability('movement_state')) {
+      this.addCapability('movement_state').catch(this.error);
+      this.log('Added \'movement_state\' capability');
+    }
+
+    // Distance from home
+    if (!this.hasCapability('measure_distance_home')) {
+      this.addCapability('measure_distance_home').catch(this.error);
+      this.log('Added \'measure_distance_home\' capability');
+    }
+
+    // Lost-pet mode
+    if (!this.hasCapability('lost_pet_mode')) {
+      this.addCapability('lost_pet_mode').catch(this.error);
+      this.log('Added \'lost_pet_mode\' capability');
+    }
+
+    // Local geofence
+    if (!this.hasCapability('local_geofence')) {
+      this.addCapability('local_geofence').catch(this.error);
+      this.log('Added \'local_geofence\' capability');
+    }
+
+    // Connection state
+    if (!this.hasCapability('connection_state')) {
+      this.addCapability('connection_state').catch(this.error);
+      this.log('Added \'connection_state\' capability');
+    }
+
     // Geofence
     if (!this.hasCapability('geofence')) {
       this.addCapability('geofence').catch(this.error);
@@ -148,6 +324,16 @@ class Device extends OAuth2Device {
       this.log('Added \'location_source\' capability');
     }
 
+    // Health, only available with premium plan
+    if ('activity_minutes' in data) {
+      for (const capability of HealthCapabilities) {
+        if (this.hasCapability(capability)) continue;
+
+        this.addCapability(capability).catch(this.error);
+        this.log(`Added '${capability}' capability`);
+      }
+    }
+
     if (blank(data.capabilities)) return;
 
     // Sync via capabilities
@@ -155,7 +341,9 @@ class Device extends OAuth2Device {
       for (const capability of capabilities) {
         // Add missing capabilities
         if (data.capabilities.includes(name) && !this.hasCapability(capability)) {
-          this.addCapability(capability).catch(this.error);
+          this.addCapability(capability)
+            .then(() => this.registerCommandListener(capability))
+            .catch(this.error);
           this.log(`Added '${capability}' capability`);
 
           continue;
@@ -232,6 +420,22 @@ class Device extends OAuth2Device {
       data.geofences = raw.geofences;
     }
 
+    // Read-only (shared) tracker
+    if ('read_only' in raw) {
+      data.read_only = raw.read_only;
+    }
+
+    // Health
+    if (filled(raw.health)) {
+      const { health } = raw;
+
+      data.activity_minutes = health.activity_minutes;
+      data.activity_goal_progress = health.activity_goal > 0 ? Math.round((health.activity_minutes / health.activity_goal) * 100) : 0;
+      data.rest_minutes = health.rest_minutes;
+      data.sleep_minutes = health.sleep_minutes;
+      data.calories = health.calories;
+    }
+
     // Hardware
     if ('hardware' in raw) {
       const { hardware } = raw;
@@ -239,6 +443,11 @@ class Device extends OAuth2Device {
       if ('battery_level' in hardware) {
         data.measure_battery = Number(hardware.battery_level);
       }
+
+      // Hardware report time (ms)
+      if ('time' in hardware) {
+        data.hardware_time = Number(hardware.time) * 1000;
+      }
     }
 
     // LED control
@@ -276,10 +485,29 @@ class Device extends OAuth2Device {
         data.latlong = position.latlong;
       }
 
+      // Accuracy (m)
+      if ('pos_uncertainty' in position) {
+        data.accuracy = Number(position.pos_uncertainty);
+      }
+
+      // Position time (ms)
+      if ('time' in position) {
+        data.position_time = Number(position.time) * 1000;
+      }
+
       // Speed (m/s)
       data.speed = Number(position.speed || 0);
     }
 
+    // Pet
+    if ('pet' in raw) {
+      const { pet } = raw;
+
+      data.pet = pet;
+      data.pet_name = pet && filled(pet.name) ? pet.name : '-';
+      data.pet_species = pet && filled(pet.species) ? pet.species : '-';
+    }
+
     // Power Saving Zones
     if ('power_saving_zones' in raw) {
       data.power_saving_zones = raw.power_saving_zones;
@@ -324,6 +552,28 @@ class Device extends OAuth2Device {
       await this.saveGeofences(data.geofences);
     }
 
+    // Save pet
+    if ('pet' in data) {
+      await this.savePet(data.pet);
+    }
+
+    // Battery time remaining
+    if ('measure_battery' in data) {
+      data.battery_remaining = await this.getBatteryRemaining(data);
+    }
+
+    // Last report
+    if ('position_time' in data || 'hardware_time' in data) {
+      await this.updateLastReport(Math.max(data.position_time || 0, data.hardware_time || 0));
+    }
+
+    // Access level, commands denied before are allowed again
+    if ('read_only' in data) {
+      await this.setStoreValue('read_only', data.read_only);
+      await this.unsetStoreValue('forbidden_commands');
+      await this.syncAccessLevel();
+    }
+
     // Save Power Saving Zones
     if ('power_saving_zones' in data) {
       await this.savePowerSavingZones(data.power_saving_zones);
@@ -341,28 +591,62 @@ class Device extends OAuth2Device {
       const latitude = Number(data.latlong[0]);
       const longitude = Number(data.latlong[1]);
 
+      // Position history
+      await this.savePosition({
+        timestamp: data.position_time || Date.now(),
+        latitude,
+        longitude,
+        altitude: 'altitude' in data ? data.altitude : null,
+        speed: data.speed,
+        location_source: data.location_source || null,
+        accuracy: 'accuracy' in data ? data.accuracy : null,
+      });
+
+      // Movement
+      data.movement_state = this.getMovementState(data.position_time || Date.now());
+
       if (lat !== latitude || long !== longitude) {
         try {
           // Address
-          data.address = await this.oAuth2Client.getAddress(latitude, longitude);
+          data.address = await this.getAddress({ latitude, longitude });
         } catch (err) {
           this.error('[getAddress]', err.toString());
 
+          // No address known at all
           delete data.address;
         }
 
-        // Geofence
-        let geofence = await this.getGeofence({ latitude, longitude });
+        // Distance from home
+        const distance = this.getDistanceHome({ latitude, longitude });
 
-        data.geofence = geofence.name;
-        data.in_geofence = filled(geofence.name);
-        data.geofence_type = geofence.fence_type;
+        if (distance !== null) {
+          data.measure_distance_home = distance;
+          data.distance_trend = this.getDistanceTrend(data.position_time || Date.now());
+        }
 
         // Coordinates
         data.latitude = latitude;
         data.longitude = longitude;
 
-        geofence = null;
+        // Distance moved since last location changed trigger
+        data.location_moved = await this.getLocationMoved({ latitude, longitude }, { latitude: lat, longitude: long });
+      }
+
+      // Geofences, evaluated on every position to confirm pending transitions
+      if (this.isTrustedPosition(data)) {
+        let membership = await this.getGeofenceMembership({ latitude, longitude }, data.position_time || Date.now());
+        let fences = membership.filter((fence) => !fence.local);
+        let localFences = membership.filter((fence) => fence.local);
+
+        data.geofence_membership = membership;
+        data.geofence = filled(fences) ? fences[0].name : '';
+        data.in_geofence = filled(fences);
+        data.geofence_type = filled(fences) ? fences[0].fence_type : null;
+        data.local_geofence = filled(localFences) ? localFences[0].name : '';
+
+        membership = null;
+        fences = null;
+        localFences = null;
       }
 
       delete data.latlong;
@@ -371,282 +655,1943 @@ class Device extends OAuth2Device {
     return data;
   }
 
-  // Stream message received
-  async onMessage(data) {
+  // Tracker status message received
+  async onTrackerStatus(data, sessionId) {
     if (blank(data)) return;
-    if (blank(data.message)) return;
+    if (data.tracker_id !== this._id) return;
+    if (sessionId !== this.getSessionId()) return;
+
+    this.log('[Stream] Received:', JSON.stringify(data));
+
+    // Handle message
+    this.handleSyncData(data).catch(this.error);
+  }
+
+  // Stream state changed
+  async onStreamState(state, sessionId) {
+    if (blank(state)) return;
+    if (sessionId !== this.getSessionId()) return;
 
-    // Tracker status message
-    if (data.message === 'tracker_status') {
-      if (data.tracker_id !== this._id) return;
+    const previous = this.streamState;
+    this.streamState = state;
 
-      this.log('[Stream] Received:', JSON.stringify(data));
+    // Stream connection lost, remember since when
+    if (previous === StreamStates.CONNECTED && state !== previous) {
+      this.streamLostAt = Date.now();
+    }
 
-      // Handle message
-      this.handleSyncData(data).catch(this.error);
+    // Stream reconnected after outage
+    if (state === StreamStates.CONNECTED && this.streamLostAt) {
+      this.backfillPositions(this.streamLostAt).catch(this.error);
+      this.streamLostAt = null;
     }
+
+    if (!this.hasCapability('connection_state')) return;
+
+    this.setCapabilityValue('connection_state', state).catch(this.error);
   }
 
   /*
   | Device actions
   */
 
-  async setBuzzer(enabled) {
-    if (enabled && this.getCapabilityValue('tracker_state') === 'power_saving') {
-      throw new Error(this.homey.__('error.power_saving_sound'));
-    }
+  async setBuzzer(enabled, duration = 0) {
+    this.checkPowerSaving('buzzer_control', enabled);
 
-    return this.oAuth2Client.setBuzzer(this._id, enabled);
+    return this.sendCommand('buzzer_control', enabled, duration);
   }
 
-  async setLight(enabled) {
-    if (enabled && this.getCapabilityValue('tracker_state') === 'power_saving') {
-      throw new Error(this.homey.__('error.power_saving_light'));
-    }
+  async setLight(enabled, duration = 0) {
+    this.checkPowerSaving('led_control', enabled);
 
-    return this.oAuth2Client.setLight(this._id, enabled);
+    return this.sendCommand('led_control', enabled, duration);
   }
 
-  async setLive(enabled) {
-    return this.oAuth2Client.setLive(this._id, enabled);
+  async setLive(enabled, duration = 0) {
+    return this.sendCommand('live_tracking', enabled, duration);
   }
 
-  /*
-  | Geofence functions
-  */
+  // Send command and wait for confirmation, turn off automatically after duration (minutes)
+  async sendCommand(command, enabled, duration = 0) {
+    this.checkAccess(command, enabled);
 
-  async getGeofence(coordinates) {
-    let fences = this.getStoreValue('geofences') || [];
+    // State is changed, previous auto-off is no longer valid
+    await this.cancelAutoOff(command);
 
-    for (const fence of fences) {
-      // Circle
-      if (fence.shape === 'circle') {
-        const latlong = {
-          latitude: fence.coords[0][0],
-          longitude: fence.coords[0][1],
-        };
-
-        if (geo.isPointWithinRadius(coordinates, latlong, fence.radius)) {
-          return fence;
-        }
-      }
+    // Schedule before confirmation, command can still be turned on after a timeout
+    if (enabled && duration > 0) {
+      await this.scheduleAutoOff(command, duration);
+    }
 
-      // Rectangle and polygon
-      if (fence.shape === 'rectangle' || fence.shape === 'polygon') {
-        const coords = [];
+    this.pendingCommands.push(command);
 
-        for (const coord of fence.coords) {
-          coords.push({ latitude: coord[0], longitude: coord[1] });
-        }
+    try {
+      await this.oAuth2Client.sendCommand(this._id, command, enabled);
+    } catch (err) {
+      // Not allowed to control this (shared) tracker
+      if (err.status === 403) {
+        await this.onForbidden(command);
+      }
 
-        if (geo.isPointInPolygon(coordinates, coords)) {
-          return fence;
-        }
+      // Command was not turned on, auto-off is not needed
+      if (err.code !== 'timeout') {
+        await this.cancelAutoOff(command);
       }
+
+      this.triggerCommandFlows(command, enabled, err).catch(this.error);
+
+      throw err;
+    } finally {
+      this.pendingCommands = this.pendingCommands.filter((entry) => entry !== command);
     }
 
-    fences = null;
+    await this.removeForbidden(command);
 
-    return {
-      name: '',
-      fence_type: null,
-    };
+    if (this.hasCapability(command)) {
+      this.setCapabilityValue(command, enabled).catch(this.error);
+    }
   }
 
-  // Save geofences in store
-  async saveGeofences(raw) {
-    this.log('Saving geofences');
+  // Pass command states to client for confirmation
+  confirmCommands(raw) {
+    for (const command of ['buzzer_control', 'led_control', 'live_tracking']) {
+      if (filled(raw[command])) {
+        this.oAuth2Client.onCommandState(this._id, command, raw[command]);
+      }
+    }
+  }
 
-    if (blank(raw)) {
-      await this.setStoreValue('geofences', []);
+  // Throw error when command is not available in power saving mode
+  checkPowerSaving(command, enabled) {
+    if (!enabled || this.getCapabilityValue('tracker_state') !== 'power_saving') return;
 
-      return;
+    // LIVE Tracking wakes up the tracker, state is not updated yet
+    if (this.getCapabilityValue('live_tracking') === true) return;
+
+    if (command === 'buzzer_control') {
+      throw new Error(this.homey.__('error.power_saving_sound'));
     }
 
-    let fences = [];
-    let active = raw.filter((entry) => entry.active && filled(entry.name));
+    if (command === 'led_control') {
+      throw new Error(this.homey.__('error.power_saving_light'));
+    }
+  }
 
-    raw = null;
+  // Command capability changed from device UI
+  async onCapabilityCommand(command, enabled) {
+    this.checkAccess(command, enabled);
+    this.checkPowerSaving(command, enabled);
 
-    for (const fence of active) {
-      delete fence.created_at;
-      delete fence.updated_at;
-      delete fence._version;
-      delete fence.trigger;
-      delete fence.deleted_at;
-      delete fence.icon;
-      delete fence.source_geofence_id;
-      delete fence.device;
-      delete fence._type;
+    const previous = this.getCapabilityValue(command);
 
-      fence.shape = fence.shape.toLowerCase();
-      fence.name = fence.name.trim();
-      fence.fence_type = fence.fence_type.toLowerCase();
+    this.log(`[Command] '${command}' set to '${enabled}' from device`);
 
-      fences.push(fence);
-    }
+    // Capability value is set optimistically, rollback when not confirmed
+    this.runCommand(command, enabled).catch((err) => {
+      this.error(`[Command] '${command}' failed:`, err.message);
 
-    await this.setStoreValue('geofences', fences);
+      this.setCapabilityValue(command, previous).catch(this.error);
+    });
+  }
 
-    fences = null;
-    active = null;
+  // Run command by capability name
+  async runCommand(command, enabled) {
+    if (command === 'buzzer_control') return this.setBuzzer(enabled);
+    if (command === 'led_control') return this.setLight(enabled);
+    if (command === 'live_tracking') return this.setLive(enabled);
+
+    throw new Error(`Unknown command '${command}'`);
   }
 
-  /*
-  | Power Saving Zone functions
-  */
+  // Run command and retry until Tractive confirms the state, or until no longer active
+  async runConfirmedCommand(command, enabled, active = () => true) {
+    for (let attempt = 1; attempt <= this.constructor.COMMAND_ATTEMPTS; attempt++) {
+      if (!active()) return false;
 
-  // Return Power Saving Zone name
-  async getPowerSavingZoneName(id) {
-    if (blank(id)) return '';
+      try {
+        if (this.getCapabilityValue(command) !== enabled) {
+          await this.runCommand(command, enabled);
+        }
 
-    // Check store first
-    const zones = this.getStoreValue('power_saving_zones') || {};
+        return true;
+      } catch (err) {
+        this.error(`[Command] '${command}' failed (attempt ${attempt}):`, err.message);
+      }
 
-    if (filled(zones[id])) {
-      return zones[id];
+      // Wait before next attempt
+      if (attempt < this.constructor.COMMAND_ATTEMPTS) {
+        await new Promise((resolve) => this.homey.setTimeout(resolve, 1000 * this.constructor.COMMAND_RETRY_DELAY));
+      }
     }
 
-    try {
-      // Get Power Saving Zone from API
-      const zone = await this.oAuth2Client.getPowerSavingZone(id);
+    return false;
+  }
 
-      return (zone.name || '').trim();
-    } catch (err) {
-      this.error('[getPowerSavingZoneName]', err.toString());
+  /*
+  | Access functions
+  */
 
-      return '';
+  // Return access level of tracker
+  getAccessLevel() {
+    if (this.getStoreValue('read_only') === true) {
+      return AccessLevels.READ_ONLY;
     }
-  }
 
-  // Save Power Saving Zones in store
-  async savePowerSavingZones(raw) {
-    this.log('Saving Power Saving Zones');
+    return AccessLevels.FULL;
+  }
 
-    if (blank(raw)) {
-      await this.setStoreValue('power_saving_zones', {});
+  // Throw error when tracker is read-only or command was denied
+  checkAccess(command = null, enabled = true) {
+    // Turning off is always allowed, so nothing keeps running
+    if (!enabled) return;
 
-      return;
+    if (this.getAccessLevel() === AccessLevels.READ_ONLY) {
+      throw new Error(this.homey.__('error.read_only'));
     }
 
-    let zones = {};
-
-    for (const zone of raw) {
-      if (blank(zone.name)) continue;
-
-      zones[zone._id] = zone.name.trim();
+    if (filled(command) && (this.getStoreValue('forbidden_commands') || []).includes(command)) {
+      throw new Error(this.homey.__('error.read_only'));
     }
+  }
 
-    await this.setStoreValue('power_saving_zones', zones);
+  // Command was denied by Tractive, allowed again after next sync or successful command
+  async onForbidden(command) {
+    this.log(`[Access] Command '${command}' denied by Tractive`);
 
-    zones = null;
+    const forbidden = this.getStoreValue('forbidden_commands') || [];
+    if (forbidden.includes(command)) return;
+
+    await this.setStoreValue('forbidden_commands', [...forbidden, command]);
   }
 
-  /*
-  | Flow functions
-  */
+  // Command was accepted by Tractive
+  async removeForbidden(command) {
+    const forbidden = this.getStoreValue('forbidden_commands') || [];
+    if (!forbidden.includes(command)) return;
 
-  // Trigger flows based on new data
-  async triggerFlows(data) {
-    // Wait for driver
-    await this.driver.ready();
+    await this.setStoreValue('forbidden_commands', forbidden.filter((entry) => entry !== command));
+  }
 
-    let device = this;
+  // Apply access level to capabilities and settings
+  async syncAccessLevel() {
+    const level = this.getAccessLevel();
 
-    // Location changed trigger
-    if ('address' in data) {
-      this.driver.locationChangedTrigger.trigger(device, data.address).then().catch(device.error);
-    }
+    if (level === this.accessLevel) return;
 
-    // In geofence trigger
-    if (this.hasCapability('in_geofence') && 'in_geofence' in data) {
-      const currentlyInFence = this.getCapabilityValue('in_geofence');
+    this.accessLevel = level;
 
-      // Entered geofence
-      if (data.in_geofence && !currentlyInFence) {
-        this.driver.inGeofenceTrueTrigger.trigger(device, { geofence: data.geofence }).then().catch(device.error);
+    // Disable controls in device UI for read-only trackers
+    for (const command of ['buzzer_control', 'led_control', 'live_tracking']) {
+      if (!this.hasCapability(command)) continue;
 
-        // Safe zone
-        if (data.geofence_type === 'safe') {
-          this.driver.inSafeZoneTrueTrigger.trigger(device, { geofence: data.geofence }).then().catch(device.error);
-        }
+      let options = {};
 
-        // Danger zone
-        if (data.geofence_type === 'danger') {
-          this.driver.inDangerZoneTrueTrigger.trigger(device, { geofence: data.geofence }).then().catch(device.error);
-        }
+      try {
+        options = this.getCapabilityOptions(command);
+      } catch (err) {
+        // No options set
       }
 
-      // Left geofence
-      if (!data.in_geofence && currentlyInFence) {
-        const currentFence = this.getCapabilityValue('geofence');
-
-        this.driver.inGeofenceFalseTrigger.trigger(device, { geofence: currentFence }).then().catch(device.error);
-      }
+      await this.setCapabilityOptions(command, { ...options, setable: level !== AccessLevels.READ_ONLY }).catch(this.error);
     }
 
-    // In Power Saving Zone trigger
-    if (this.hasCapability('in_power_saving_zone')) {
-      if (data.in_power_saving_zone && !this.getCapabilityValue('in_power_saving_zone')) {
-        this.driver.inPowerSavingZoneTrueTrigger.trigger(device, { power_saving_zone: data.power_saving_zone }).then().catch(device.error);
-      }
-    }
+    this.setSettings({ access_level: this.homey.__(`access_levels.${level}`) }).catch(this.error);
 
-    device = null;
+    this.log(`[Access] Level is now '${level}'`);
   }
 
   /*
-  | Listener functions
+  | Reporting functions
   */
 
-  // Register event listener
-  async registerEventListener() {
-    if (this.onUpdate) return;
+  // New report received, resume when tracker was not reporting
+  async updateLastReport(timestamp) {
+    const lastReport = this.getStoreValue('last_report') || 0;
 
-    this.onUpdate = this.onMessage.bind(this);
+    if (timestamp <= lastReport) return;
 
-    this.homey.on('update', this.onUpdate);
+    await this.setStoreValue('last_report', timestamp);
 
-    this.log('[Listener] Registered');
+    const staleSince = this.getStoreValue('stale_since');
+    if (blank(staleSince)) return;
+
+    const duration = Math.round((timestamp - lastReport) / 1000 / 60);
+
+    await this.unsetStoreValue('stale_since');
+
+    this.unsetWarning().catch(this.error);
+
+    this.log(`[Reporting] Resumed after ${duration} minutes`);
+
+    await this.driver.ready();
+
+    this.driver.reportingResumedTrigger.trigger(this, { duration }).then().catch(this.error);
   }
 
-  // Unregister event listener
-  async unregisterEventListener() {
-    if (!this.onUpdate) return;
+  // Mark tracker as not reporting when no report is received within window
+  async checkLastReport() {
+    const window = Number(this.getSetting('stale_window')) || 0;
+    const lastReport = this.getStoreValue('last_report');
 
-    this.homey.off('update', this.onUpdate);
+    if (window <= 0 || blank(lastReport) || filled(this.getStoreValue('stale_since'))) return;
 
-    this.onUpdate = null;
+    const minutes = Math.round((Date.now() - lastReport) / 1000 / 60);
 
-    this.log('[Listener] Unregistered');
+    if (minutes < window) return;
+
+    await this.setStoreValue('stale_since', Date.now());
+
+    this.log(`[Reporting] No reports received for ${minutes} minutes`);
+
+    this.setWarning(this.homey.__('warning.not_reporting_local')).catch(this.error);
+
+    await this.driver.ready();
+
+    this.driver.reportingStoppedTrigger.trigger(this, { minutes }).then().catch(this.error);
   }
 
   /*
-  | Timer functions
+  | Insights functions
   */
 
-  // Register timer
-  registerTimer() {
-    if (this.syncTimer) return;
+  // Return empty daily statistics
+  getEmptyInsights(day) {
+    return {
+      day,
+      distance: 0,
+      live: 0,
+      power_saving: 0,
+      outside_power_saving: 0,
+      outside_geofences: 0,
+      geofence_exits: 0,
+      max_distance_home: 0,
+      battery_consumed: 0,
+      geofences: {},
+    };
+  }
 
-    const interval = 1000 * 60 * this.constructor.SYNC_INTERVAL;
+  // Return daily statistics, previous day is archived on a new day
+  async getInsights(day) {
+    const empty = this.getEmptyInsights(day);
+    const stats = { ...empty, ...this.getStoreValue('insights') };
 
-    this.syncTimer = this.homey.setInterval(this.sync.bind(this), interval);
+    if (stats.day === day) return stats;
 
-    this.log('[Timer] Registered');
+    // New day, save summary and start counting from zero
+    await this.saveDailySummary(stats);
+
+    const reset = { ...stats, ...empty };
+
+    await this.setStoreValue('insights', reset);
+
+    return reset;
   }
 
-  // Unregister timer
-  unregisterTimer() {
-    if (!this.syncTimer) return;
+  // Update daily insights and summary with changes since last update
+  async updateInsights(data) {
+    try {
+      const now = Date.now();
 
-    this.homey.clearInterval(this.syncTimer);
+      let stats = await this.getInsights(this.getLocalDate(now));
 
-    this.syncTimer = null;
+      // Time since last update was spent in previous state
+      const minutes = Math.min(now - (stats.updated_at || now), 1000 * 60 * this.constructor.INSIGHTS_MAX_GAP) / 1000 / 60;
+
+      if (this.getCapabilityValue('live_tracking') === true) {
+        stats.live += minutes;
+      }
+
+      if (this.getCapabilityValue('in_power_saving_zone') === true) {
+        stats.power_saving += minutes;
+      } else {
+        stats.outside_power_saving += minutes;
+      }
+
+      const membership = this.getStoreValue('geofence_membership') || [];
+
+      for (const fence of membership) {
+        const entry = stats.geofences[fence._id] || { name: fence.name, minutes: 0 };
+
+        entry.minutes += minutes;
+        stats.geofences[fence._id] = entry;
+      }
+
+      if (blank(membership)) {
+        stats.outside_geofences += minutes;
+      }
+
+      // Geofences left
+      if ('geofence_membership' in data) {
+        const ids = data.geofence_membership.map((fence) => fence._id);
+
+        stats.geofence_exits += membership.filter((fence) => !ids.includes(fence._id)).length;
+      }
+
+      // Maximum distance from home
+      if ('measure_distance_home' in data) {
+        stats.max_distance_home = Math.max(stats.max_distance_home, data.measure_distance_home);
+      }
+
+      // Battery consumed
+      const battery = this.getCapabilityValue('measure_battery');
+
+      if ('measure_battery' in data && Number.isFinite(battery) && data.measure_battery < battery) {
+        stats.battery_consumed += battery - data.measure_battery;
+      }
+
+      // Distance travelled
+      if ('latitude' in data && this.isTrustedPosition(data)) {
+        const coords = { latitude: data.latitude, longitude: data.longitude };
+
+        if (filled(stats.latitude)) {
+          stats.distance += geo.getDistance({ latitude: stats.latitude, longitude: stats.longitude }, coords);
+        }
+
+        stats.latitude = coords.latitude;
+        stats.longitude = coords.longitude;
+      }
+
+      stats.updated_at = now;
+
+      await this.setStoreValue('insights', stats);
+
+      await this.logInsight('distance', this.homey.__('insights.distance'), 'km', stats.distance / 1000);
+      await this.logInsight('live_tracking', this.homey.__('insights.live_tracking'), 'min', stats.live);
+      await this.logInsight('power_saving', this.homey.__('insights.power_saving'), 'min', stats.power_saving);
+      await this.logInsight('outside_power_saving', this.homey.__('insights.outside_power_saving'), 'min', stats.outside_power_saving);
+
+      for (const [id, fence] of Object.entries(stats.geofences)) {
+        await this.logInsight(`geofence_${id}`, this.homey.__('insights.geofence', { geofence: fence.name }), 'min', fence.minutes);
+      }
+
+      stats = null;
+    } catch (err) {
+      this.error('[Insights]', err.toString());
+    }
+  }
+
+  // Save summary of completed day
+  async saveDailySummary(stats) {
+    if (blank(stats.updated_at)) return;
+
+    // Day could already be saved
+    const days = (this.getStoreValue('summary_days') || []).filter((entry) => entry.day !== stats.day);
+
+    days.push({ day: stats.day, ...this.getSummaryTokens(stats) });
+    days.sort((a, b) => a.day.localeCompare(b.day));
+
+    await this.setStoreValue('summary_days', days.slice(-this.constructor.SUMMARY_DAYS));
+  }
+
+  // Return summary tokens of daily statistics
+  getSummaryTokens(stats) {
+    return {
+      distance: Math.round(stats.distance / 100) / 10,
+      max_distance_home: Math.round(stats.max_distance_home),
+      outside_geofences: Math.round(stats.outside_geofences),
+      geofence_exits: stats.geofence_exits,
+      battery_consumed: Math.round(stats.battery_consumed),
+      live_tracking: Math.round(stats.live),
+    };
+  }
+
+  // Return day (YYYY-MM-DD) to summarize at given time, shortly after midnight this is the previous day
+  getSummaryDay(time) {
+    const today = this.getLocalDate();
+
+    return time < this.constructor.SUMMARY_DAY_START ? this.shiftDate(today, -1) : today;
+  }
+
+  // Return summary of day (YYYY-MM-DD)
+  getDailySummary(day = this.getLocalDate()) {
+    const empty = {
+      distance: 0, max_distance_home: 0, outside_geofences: 0, geofence_exits: 0, battery_consumed: 0, live: 0,
+    };
+
+    // Today
+    if (day === this.getLocalDate()) {
+      const stats = this.getStoreValue('insights') || {};
+
+      return this.getSummaryTokens(stats.day === day ? { ...empty, ...stats } : empty);
+    }
+
+    // Previous day
+    const entry = (this.getStoreValue('summary_days') || []).find((saved) => saved.day === day);
+    if (!entry) return this.getSummaryTokens(empty);
+
+    const summary = { ...entry };
+    delete summary.day;
+
+    return summary;
+  }
+
+  // Return summary of day (YYYY-MM-DD) and previous days of the week
+  getWeeklySummary(day = this.getLocalDate()) {
+    const from = this.shiftDate(day, -(this.constructor.SUMMARY_DAYS - 1));
+    const days = (this.getStoreValue('summary_days') || []).filter((entry) => entry.day >= from && entry.day < day);
+    const summary = this.getDailySummary(day);
+
+    for (const day of days) {
+      summary.distance += day.distance;
+      summary.max_distance_home = Math.max(summary.max_distance_home, day.max_distance_home);
+      summary.outside_geofences += day.outside_geofences;
+      summary.geofence_exits += day.geofence_exits;
+      summary.battery_consumed += day.battery_consumed;
+      summary.live_tracking += day.live_tracking;
+    }
+
+    summary.distance = Math.round(summary.distance * 10) / 10;
+
+    return summary;
+  }
+
+  // Add entry to insights log, create log when missing
+  async logInsight(id, title, units, value) {
+    const logId = `${this._id}_${id}`.replace(/[^a-zA-Z0-9_-]/g, '_');
+
+    if (!this.insightsLogs) this.insightsLogs = {};
+
+    if (!this.insightsLogs[logId]) {
+      try {
+        this.insightsLogs[logId] = await this.homey.insights.getLog(logId);
+      } catch (err) {
+        this.insightsLogs[logId] = await this.homey.insights.createLog(logId, {
+          title: `${this.getName()} - ${title}`,
+          type: 'number',
+          units,
+          decimals: 1,
+        });
+      }
+    }
+
+    await this.insightsLogs[logId].createEntry(Math.round(value * 10) / 10);
+  }
+
+  // Delete insights logs of device
+  async deleteInsights() {
+    try {
+      const logs = await this.homey.insights.getLogs();
+
+      for (const log of logs.filter((entry) => entry.id.startsWith(`${this._id}_`))) {
+        await this.homey.insights.deleteLog(log);
+      }
+    } catch (err) {
+      this.error('[Insights]', err.toString());
+    }
+
+    this.insightsLogs = null;
+  }
+
+  /*
+  | Battery functions
+  */
+
+  // Record battery level and return estimated hours remaining
+  async getBatteryRemaining(data) {
+    const level = data.measure_battery;
+    const live = 'live_tracking' in data ? data.live_tracking : this.getCapabilityValue('live_tracking') === true;
+    const charging = 'charging_state' in data ? data.charging_state : this.getCapabilityValue('charging_state') === true;
+
+    let samples = this.getStoreValue('battery_samples') || [];
+    const last = samples[samples.length - 1];
+
+    // Record sample when level or mode changed
+    if (!last || last.level !== level || last.live !== live || last.charging !== charging) {
+      const oldest = Date.now() - (1000 * 60 * 60 * 24 * this.constructor.BATTERY_HISTORY);
+
+      samples.push({
+        timestamp: Date.now(), level, live, charging,
+      });
+
+      samples = samples.filter((sample) => sample.timestamp >= oldest).slice(-this.constructor.BATTERY_MAX_SAMPLES);
+
+      await this.setStoreValue('battery_samples', samples);
+    }
+
+    if (charging) return null;
+
+    // LIVE Tracking drains the battery faster
+    const rates = Battery.dischargeRates(samples);
+    const remaining = Battery.hoursRemaining(level, live ? rates.live : rates.normal);
+
+    samples = null;
+
+    return remaining;
+  }
+
+  // Return battery alerts that already triggered
+  getBatteryAlerts() {
+    if (!this.batteryAlerts) {
+      this.batteryAlerts = {
+        below: [],
+        runs_out: [],
+        ...this.getStoreValue('battery_alerts'),
+      };
+    }
+
+    return this.batteryAlerts;
+  }
+
+  // Battery alert triggered, do not trigger again until enabled
+  async addBatteryAlert(type, value) {
+    const alerts = this.getBatteryAlerts();
+
+    if (alerts[type].includes(value)) return;
+
+    alerts[type].push(value);
+
+    await this.setStoreValue('battery_alerts', alerts);
+  }
+
+  /*
+  | Charging session functions
+  */
+
+  // Start, update or end charging session
+  async updateChargingSession(data) {
+    const charging = 'charging_state' in data ? data.charging_state : this.getCapabilityValue('charging_state') === true;
+    const level = 'measure_battery' in data ? data.measure_battery : this.getCapabilityValue('measure_battery');
+
+    let session = this.getStoreValue('charging_session');
+
+    if (!charging) {
+      if (filled(session)) await this.endChargingSession(session, level);
+
+      return;
+    }
+
+    if (!Number.isFinite(level)) return;
+
+    if (blank(session)) {
+      session = {
+        started_at: Date.now(),
+        start_level: level,
+        level,
+        rising_at: Date.now(),
+        full: false,
+      };
+
+      this.log(`[Charging] Session started at ${level}%`);
+    }
+
+    if (level > session.level) {
+      session.level = level;
+      session.rising_at = Date.now();
+    }
+
+    await this.setStoreValue('charging_session', session);
+    await this.checkFullyCharged(session);
+
+    session = null;
+  }
+
+  // End charging session
+  async endChargingSession(session, level) {
+    const summary = {
+      started_at: session.started_at,
+      ended_at: Date.now(),
+      start_level: session.start_level,
+      end_level: Number.isFinite(level) ? level : session.level,
+      duration: Math.round((Date.now() - session.started_at) / 1000 / 60),
+    };
+
+    await this.setStoreValue('last_charging_session', summary);
+    await this.unsetStoreValue('charging_session');
+
+    this.log('[Charging] Session ended:', JSON.stringify(summary));
+  }
+
+  // Trigger fully charged when battery is full or stopped rising
+  async checkFullyCharged(session = this.getStoreValue('charging_session')) {
+    if (blank(session) || session.full) return;
+
+    const plateau = Date.now() - session.rising_at >= 1000 * 60 * this.constructor.CHARGE_PLATEAU;
+
+    if (session.level < 100 && !(plateau && session.level >= this.constructor.CHARGE_PLATEAU_MIN_LEVEL)) return;
+
+    session.full = true;
+
+    await this.setStoreValue('charging_session', session);
+    await this.setStoreValue('last_full_charge', Date.now());
+
+    if (this.hasCapability('last_full_charge')) {
+      this.setCapabilityValue('last_full_charge', this.formatDateTime(Date.now())).catch(this.error);
+    }
+
+    this.log(`[Charging] Fully charged at ${session.level}%`);
+
+    await this.driver.ready();
+
+    this.driver.fullyChargedTrigger.trigger(this, {
+      battery: session.level,
+      start_battery: session.start_level,
+      duration: Math.round((Date.now() - session.started_at) / 1000 / 60),
+    }).then().catch(this.error);
+  }
+
+  /*
+  | Auto-off functions
+  */
+
+  // Turn off command automatically after duration (minutes)
+  async scheduleAutoOff(command, duration) {
+    const autoOff = this.getStoreValue('auto_off') || {};
+    const until = Date.now() + (1000 * 60 * duration);
+
+    autoOff[command] = until;
+
+    await this.setStoreValue('auto_off', autoOff);
+
+    this.registerAutoOffTimer(command, until);
+
+    this.log(`[Auto-off] '${command}' is turned off in ${duration} minutes`);
+  }
+
+  // Cancel scheduled auto-off
+  async cancelAutoOff(command) {
+    this.unregisterAutoOffTimer(command);
+
+    const autoOff = this.getStoreValue('auto_off') || {};
+    if (!(command in autoOff)) return;
+
+    delete autoOff[command];
+
+    await this.setStoreValue('auto_off', autoOff);
+
+    this.log(`[Auto-off] '${command}' cancelled`);
+  }
+
+  // Cancel auto-off for commands that are turned off by other means
+  async checkAutoOff(data) {
+    const autoOff = this.getStoreValue('auto_off') || {};
+
+    for (const command of Object.keys(autoOff)) {
+      // Command is still waiting for confirmation
+      if (this.pendingCommands.includes(command)) continue;
+
+      if (data[command] === false) {
+        await this.cancelAutoOff(command);
+      }
+    }
+  }
+
+  // Run auto-off command
+  async runAutoOff(command) {
+    this.log(`[Auto-off] Turning off '${command}'`);
+
+    await this.runCommand(command, false);
+  }
+
+  // Restore auto-off timers after restart
+  async restoreAutoOff() {
+    const autoOff = this.getStoreValue('auto_off') || {};
+
+    for (const [command, until] of Object.entries(autoOff)) {
+      // Timeout passed while app was not running
+      if (until <= Date.now()) {
+        this.runAutoOff(command).catch(this.error);
+
+        continue;
+      }
+
+      this.registerAutoOffTimer(command, until);
+
+      this.log(`[Auto-off] '${command}' restored`);
+    }
+  }
+
+  /*
+  | Lost-pet mode functions
+  */
+
+  // Start lost-pet mode, stop automatically after duration (minutes)
+  async startLostMode(duration = 0) {
+    this.checkAccess();
+
+    this.log('[Lost mode] Starting');
+
+    const until = duration > 0 ? Date.now() + (1000 * 60 * duration) : null;
+
+    await this.setStoreValue('lost_mode', { until });
+    await this.setLostModeStatus('starting');
+
+    // Process positions more frequently
+    this.setSyncInterval(this.constructor.LOST_MODE_SYNC_INTERVAL);
+    this.registerLostModeTimer(until);
+
+    // Confirming commands can take minutes, status is reported by trigger
+    const run = {};
+    this.lostModeRun = run;
+
+    this.confirmLostMode(run).catch(this.error);
+  }
+
+  // Turn on commands of lost-pet mode and wait for confirmation
+  async confirmLostMode(run) {
+    // LIVE Tracking first, so light and sound are received by the tracker
+    const results = {};
+
+    for (const command of ['live_tracking', 'led_control', 'buzzer_control']) {
+      if (!this.hasCapability(command)) continue;
+
+      // Lost-pet mode was stopped or started again
+      if (this.lostModeRun !== run) return;
+
+      // Lost-pet mode keeps running until stopped
+      await this.cancelAutoOff(command);
+
+      results[command] = await this.runConfirmedCommand(command, true, () => this.lostModeRun === run);
+
+      // Refresh tracker state, which is no longer power saving
+      if (command === 'live_tracking' && results[command]) {
+        await this.sync();
+      }
+    }
+
+    if (this.lostModeRun !== run) return;
+
+    this.lostModeRun = null;
+
+    const confirmed = Object.values(results).filter((result) => result).length;
+    let status = 'partial';
+
+    if (confirmed === Object.keys(results).length) status = 'active';
+    if (confirmed === 0) status = 'failed';
+
+    // Nothing was started, clean up
+    if (status === 'failed') {
+      this.unregisterLostModeTimer();
+      this.setSyncInterval(this.constructor.SYNC_INTERVAL);
+
+      await this.unsetStoreValue('lost_mode');
+    }
+
+    await this.setLostModeStatus(status, results);
+
+    this.log(`[Lost mode] Status is '${status}'`);
+  }
+
+  // Stop lost-pet mode
+  async stopLostMode() {
+    this.log('[Lost mode] Stopping');
+
+    this.lostModeRun = null;
+    this.unregisterLostModeTimer();
+
+    await this.unsetStoreValue('lost_mode');
+
+    const results = {};
+
+    for (const command of ['buzzer_control', 'led_control', 'live_tracking']) {
+      if (!this.hasCapability(command)) continue;
+
+      results[command] = await this.runConfirmedCommand(command, false);
+    }
+
+    this.setSyncInterval(this.constructor.SYNC_INTERVAL);
+
+    await this.setLostModeStatus('off', results);
+
+    this.log('[Lost mode] Stopped');
+  }
+
+  // Restore lost-pet mode after restart
+  async restoreLostMode() {
+    const lostMode = this.getStoreValue('lost_mode');
+    if (blank(lostMode)) return;
+
+    // Timeout passed while app was not running
+    if (lostMode.until && lostMode.until <= Date.now()) {
+      this.stopLostMode().catch(this.error);
+
+      return;
+    }
+
+    this.log('[Lost mode] Restored');
+
+    this.setSyncInterval(this.constructor.LOST_MODE_SYNC_INTERVAL);
+    this.registerLostModeTimer(lostMode.until);
+  }
+
+  // Set consolidated lost-pet mode status
+  async setLostModeStatus(status, results = {}) {
+    if (this.hasCapability('lost_pet_mode')) {
+      await this.setCapabilityValue('lost_pet_mode', status);
+    }
+
+    await this.driver.ready();
+
+    this.driver.lostModeChangedTrigger.trigger(this, {
+      status,
+      live_tracking: this.getCapabilityValue('live_tracking') === true,
+      light: this.getCapabilityValue('led_control') === true,
+      sound: this.getCapabilityValue('buzzer_control') === true,
+    }).then().catch(this.error);
+
+    this.log('[Lost mode] Results:', JSON.stringify(results));
+  }
+
+  /*
+  | Geofence functions
+  */
+
+  // Return all geofences containing coordinates
+  async getGeofenceMembership(coordinates, timestamp) {
+    const settings = this.getSettings();
+
+    const fences = [
+      ...(this.getStoreValue('geofences') || []),
+      ...this.getLocalGeofences(),
+    ];
+
+    const currentIds = (this.getStoreValue('geofence_membership') || []).map((fence) => fence._id);
+
+    const insideIds = Geofence.evaluate(fences, coordinates, currentIds, {
+      enter: Number(settings.geofence_enter_buffer) || 0,
+      exit: Number(settings.geofence_exit_buffer) || 0,
+    }).map((fence) => fence._id);
+
+    const dwell = 1000 * (Number(settings.geofence_dwell_time) || 0);
+    const result = [];
+
+    if (!this.geofencePending) this.geofencePending = {};
+
+    for (const fence of fences) {
+      const inside = insideIds.includes(fence._id);
+      const wasInside = currentIds.includes(fence._id);
+
+      // Transition must last for the dwell time before it is confirmed
+      if (inside !== wasInside) {
+        const since = this.geofencePending[fence._id] || timestamp;
+
+        if (timestamp - since < dwell) {
+          this.geofencePending[fence._id] = since;
+
+          if (wasInside) result.push(fence);
+
+          continue;
+        }
+      }
+
+      delete this.geofencePending[fence._id];
+
+      if (inside) result.push(fence);
+    }
+
+    return result.map((fence) => ({
+      _id: fence._id,
+      name: fence.name,
+      fence_type: fence.fence_type,
+      local: fence.local === true,
+    }));
+  }
+
+  // Determine if position can be used to evaluate geofences
+  isTrustedPosition(data) {
+    const settings = this.getSettings();
+
+    // Only GPS positions
+    if (settings.geofence_gps_only && filled(data.location_source) && data.location_source !== 'gps') {
+      this.log('[Geofence] Ignored position from', data.location_source);
+
+      return false;
+    }
+
+    // Inaccurate position reported by tracker
+    const state = data.tracker_state || this.getCapabilityValue('tracker_state');
+
+    if (settings.geofence_ignore_inaccurate && state === 'inaccurate_position') {
+      this.log('[Geofence] Ignored inaccurate position');
+
+      return false;
+    }
+
+    // Position uncertainty too high
+    const maxAccuracy = Number(settings.geofence_max_accuracy) || 0;
+
+    if (maxAccuracy > 0 && 'accuracy' in data && data.accuracy > maxAccuracy) {
+      this.log(`[Geofence] Ignored position with accuracy of ${data.accuracy} meters`);
+
+      return false;
+    }
+
+    return true;
+  }
+
+  // Determine if device is inside geofence
+  isInGeofence(id) {
+    const membership = this.getStoreValue('geofence_membership') || [];
+
+    return membership.some((fence) => fence._id === id);
+  }
+
+  // Return local geofences, resolving the Homey location
+  getLocalGeofences() {
+    const fences = [];
+
+    for (const fence of this.localGeofences || []) {
+      if (fence.shape !== 'home') {
+        fences.push(fence);
+
+        continue;
+      }
+
+      const latitude = this.homey.geolocation.getLatitude();
+      const longitude = this.homey.geolocation.getLongitude();
+
+      if (blank(latitude) || blank(longitude)) continue;
+
+      fences.push({
+        ...fence,
+        shape: 'circle',
+        coords: [[latitude, longitude]],
+      });
+    }
+
+    return fences;
+  }
+
+  // Set local geofences from settings
+  setLocalGeofences(raw) {
+    try {
+      this.localGeofences = Geofence.parseLocal(raw);
+    } catch (err) {
+      this.error('[Settings] Invalid local geofences:', err.message);
+
+      this.localGeofences = [];
+    }
+  }
+
+  // Save geofences in store
+  async saveGeofences(raw) {
+    this.log('Saving geofences');
+
+    if (blank(raw)) {
+      await this.setStoreValue('geofences', []);
+
+      return;
+    }
+
+    let fences = [];
+    let active = raw.filter((entry) => entry.active && filled(entry.name));
+
+    raw = null;
+
+    for (const fence of active) {
+      delete fence.created_at;
+      delete fence.updated_at;
+      delete fence._version;
+      delete fence.trigger;
+      delete fence.deleted_at;
+      delete fence.icon;
+      delete fence.source_geofence_id;
+      delete fence.device;
+      delete fence._type;
+
+      fence.shape = fence.shape.toLowerCase();
+      fence.name = fence.name.trim();
+      fence.fence_type = fence.fence_type.toLowerCase();
+
+      fences.push(fence);
+    }
+
+    await this.setStoreValue('geofences', fences);
+
+    fences = null;
+    active = null;
+  }
+
+  /*
+  | Distance functions
+  */
+
+  // Return home location from settings or Homey
+  getHomeLocation() {
+    const latitude = Number.parseFloat(this.getSetting('home_latitude'));
+    const longitude = Number.parseFloat(this.getSetting('home_longitude'));
+
+    if (Number.isFinite(latitude) && Number.isFinite(longitude)) {
+      return { latitude, longitude };
+    }
+
+    const home = {
+      latitude: this.homey.geolocation.getLatitude(),
+      longitude: this.homey.geolocation.getLongitude(),
+    };
+
+    if (blank(home.latitude) || blank(home.longitude)) return null;
+
+    return home;
+  }
+
+  // Return distance from home in meters
+  getDistanceHome(coordinates) {
+    const home = this.getHomeLocation();
+    if (blank(home)) return null;
+
+    return geo.getDistance(coordinates, home);
+  }
+
+  // Return trend of distance from home across recent positions
+  getDistanceTrend(timestamp) {
+    const home = this.getHomeLocation();
+    if (blank(home)) return 'stationary';
+
+    const from = timestamp - (1000 * 60 * this.constructor.TREND_WINDOW);
+    const positions = this.history.between(from, timestamp);
+
+    if (positions.length < this.constructor.TREND_MIN_POSITIONS) return 'stationary';
+
+    const first = geo.getDistance(positions[0], home);
+    const last = geo.getDistance(positions[positions.length - 1], home);
+
+    if (last - first <= -this.constructor.TREND_MIN_DISTANCE) return 'approaching';
+    if (last - first >= this.constructor.TREND_MIN_DISTANCE) return 'leaving';
+
+    return 'stationary';
+  }
+
+  /*
+  | Position history functions
+  */
+
+  // Return position at given time
+  getPositionAt(timestamp) {
+    return this.history.at(timestamp);
+  }
+
+  // Return last positions, oldest first
+  getLastPositions(count) {
+    return this.history.last(count);
+  }
+
+  // Return positions between timestamps, oldest first
+  getPositionsBetween(from, to) {
+    return this.history.between(from, to);
+  }
+
+  // Return path and geofences in given format
+  exportTrack(format, from, to) {
+    const name = this.getName();
+    const positions = this.getPositionsBetween(from, to);
+    const fences = this.getStoreValue('geofences') || [];
+
+    if (format === 'gpx') {
+      return Export.toGpx(name, positions, fences);
+    }
+
+    if (format === 'kml') {
+      return Export.toKml(name, positions, fences);
+    }
+
+    return Export.toGeoJSON(name, positions, fences);
+  }
+
+  // Fill gaps in position history since given time using the API
+  async backfillPositions(since = null) {
+    if (this.backfilling) return;
+
+    const now = Date.now();
+    const oldest = now - (1000 * 60 * 60 * this.constructor.BACKFILL_MAX_AGE);
+
+    let begin = Number.isFinite(since) ? since : oldest;
+
+    // Start at last known position before given time
+    const start = this.history.at(begin);
+    if (start) begin = start.timestamp;
+
+    begin = Math.max(begin, oldest);
+
+    const gaps = this.history.gaps(begin, now, 1000 * 60 * this.constructor.BACKFILL_MIN_GAP);
+
+    // No gap in history
+    if (blank(gaps)) return;
+
+    const from = gaps[0].from + 1000;
+    const { to } = gaps[gaps.length - 1];
+
+    this.backfilling = true;
+
+    try {
+      this.log('[Backfill] Requesting positions since', new Date(from).toISOString());
+
+      const positions = await this.oAuth2Client.getPositionHistory(this._id, from, to);
+
+      let added = 0;
+
+      for (const position of positions) {
+        if (this.history.add(position)) added++;
+      }
+
+      if (added > 0) {
+        await this.persistPositions();
+      }
+
+      this.log(`[Backfill] Added ${added} positions`);
+    } catch (err) {
+      this.error('[Backfill]', err.toString());
+    } finally {
+      this.backfilling = false;
+    }
+  }
+
+  // Save position in history, store is written after a delay to limit writes
+  async savePosition(position) {
+    if (!this.history.add(position)) return;
+
+    this.registerPositionsTimer();
+  }
+
+  // Write position history to store
+  async persistPositions() {
+    this.unregisterPositionsTimer();
+
+    await this.setStoreValue('positions', this.history.toJSON());
+  }
+
+  /*
+  | Location functions
+  */
+
+  // Return meters moved since last location changed trigger, null when below minimum distance
+  async getLocationMoved(coords, previous) {
+    const minimum = Number(this.getSetting('location_min_distance')) || 0;
+    let last = this.getStoreValue('location_trigger');
+
+    // Fall back to previous position
+    if (blank(last) && filled(previous.latitude) && filled(previous.longitude)) {
+      last = previous;
+    }
+
+    const moved = filled(last) ? geo.getDistance(last, coords) : 0;
+
+    if (filled(last) && moved < minimum) return null;
+
+    await this.setStoreValue('location_trigger', coords);
+
+    return moved;
+  }
+
+  // Return location changed trigger tokens
+  getLocationTokens(data) {
+    const address = data.address || {};
+    const geofence = 'geofence' in data ? data.geofence : this.getCapabilityValue('geofence');
+
+    return {
+      street: address.street || '',
+      house_number: address.house_number || '',
+      city: address.city || '',
+      zip_code: address.zip_code || '',
+      country: address.country || '',
+      latitude: data.latitude,
+      longitude: data.longitude,
+      altitude: Number.isFinite(data.altitude) ? data.altitude : 0,
+      speed: Math.round((data.speed || 0) * 10) / 10,
+      location_source: data.location_source || '',
+      distance: Math.round(data.location_moved),
+      geofence: geofence || '',
+      map_url: `https://www.google.com/maps/search/?api=1&query=${data.latitude},${data.longitude}`,
+    };
+  }
+
+  /*
+  | Address functions
+  */
+
+  // Return address by coordinates, skip lookup for small movements, last known address when lookup fails
+  async getAddress(coords) {
+    const last = this.getStoreValue('address');
+
+    if (filled(last) && geo.getDistance(last, coords) < this.constructor.ADDRESS_MIN_MOVEMENT) {
+      return last.address;
+    }
+
+    let address;
+
+    try {
+      address = await this.lookupAddress(coords);
+    } catch (err) {
+      // All geocoders failed, keep last known address
+      if (blank(last)) throw err;
+
+      this.log('[Address] Lookup failed, using last known address');
+
+      return last.address;
+    }
+
+    await this.setStoreValue('address', { ...coords, address });
+
+    return address;
+  }
+
+  // Return address from cache or geocoders
+  async lookupAddress({ latitude, longitude }) {
+    const cache = this.homey.app.addressCache;
+    const cached = cache.get(latitude, longitude);
+
+    if (filled(cached)) return cached;
+
+    let error;
+
+    for (const geocoder of this.getGeocoders()) {
+      try {
+        const address = await geocoder.reverse(latitude, longitude);
+
+        cache.set(latitude, longitude, address);
+
+        return address;
+      } catch (err) {
+        this.error(`[Address] ${geocoder.name}:`, err.toString());
+
+        error = err;
+      }
+    }
+
+    throw error;
+  }
+
+  // Return geocoders in order of preference
+  getGeocoders() {
+    const tractive = new TractiveGeocoder(this.oAuth2Client);
+    const url = (this.getSetting('nominatim_url') || '').trim();
+
+    if (blank(url)) return [tractive];
+
+    const nominatim = new NominatimGeocoder(url, this.homey.i18n.getLanguage());
+
+    if (this.getSetting('geocoder') === 'nominatim') {
+      return [nominatim, tractive];
+    }
+
+    return [tractive, nominatim];
+  }
+
+  /*
+  | Movement functions
+  */
+
+  // Return movement state based on positions within window
+  getMovementState(timestamp) {
+    const positions = this.history.between(timestamp - (1000 * 60 * this.constructor.MOVEMENT_WINDOW), timestamp);
+
+    return Movement.classify(Movement.speed(this.getMovementPositions(positions)));
+  }
+
+  // Return number of seconds the tracker has been moving at least given speed (km/h)
+  getSpeedDuration(speed) {
+    return Movement.durationAbove(this.getMovementPositions(this.history.last(50)), speed);
+  }
+
+  // Return positions accurate enough to calculate speed, WiFi and cell positions can jump
+  getMovementPositions(positions) {
+    return Movement.accurate(positions, this.constructor.MOVEMENT_MAX_ACCURACY);
+  }
+
+  // Speed alert triggered, do not trigger again until speed dropped
+  addSpeedAlert(key) {
+    if (!this.speedAlerts) this.speedAlerts = [];
+    if (this.speedAlerts.includes(key)) return;
+
+    this.speedAlerts.push(key);
+  }
+
+  // Enable speed alert again
+  removeSpeedAlert(key) {
+    if (!this.speedAlerts) return;
+
+    this.speedAlerts = this.speedAlerts.filter((entry) => entry !== key);
+  }
+
+  // Set resting when no positions are received within window
+  async checkMovement() {
+    if (!this.hasCapability('movement_state') || this.getCapabilityValue('movement_state') === 'resting') return;
+
+    const latest = this.history.latest();
+
+    if (latest && Date.now() - latest.timestamp < 1000 * 60 * this.constructor.MOVEMENT_WINDOW) return;
+
+    await this.setCapabilityValue('movement_state', 'resting');
+  }
+
+  /*
+  | Pet functions
+  */
+
+  // Save pet in store
+  async savePet(pet) {
+    const previous = this.getStoreValue('pet') || null;
+
+    const id = pet ? pet._id : null;
+    const previousId = previous ? previous._id : null;
+
+    // Homey does not allow apps to rename devices, only the pet settings are updated
+    if (id !== previousId) {
+      this.log(`Tracker is now assigned to pet '${pet ? pet.name : '-'}', device name '${this.getName()}' is unchanged`);
+    }
+
+    await this.setStoreValue('pet', pet);
+  }
+
+  /*
+  | Power Saving Zone functions
+  */
+
+  // Return Power Saving Zone name
+  async getPowerSavingZoneName(id) {
+    if (blank(id)) return '';
+
+    // Check store first
+    const zones = this.getStoreValue('power_saving_zones') || {};
+
+    if (filled(zones[id])) {
+      return zones[id];
+    }
+
+    try {
+      // Get Power Saving Zone from API
+      const zone = await this.oAuth2Client.getPowerSavingZone(id);
+
+      return (zone.name || '').trim();
+    } catch (err) {
+      this.error('[getPowerSavingZoneName]', err.toString());
+
+      return '';
+    }
+  }
+
+  // Save Power Saving Zones in store
+  async savePowerSavingZones(raw) {
+    this.log('Saving Power Saving Zones');
+
+    if (blank(raw)) {
+      await this.setStoreValue('power_saving_zones', {});
+
+      return;
+    }
+
+    let zones = {};
+
+    for (const zone of raw) {
+      if (blank(zone.name)) continue;
+
+      zones[zone._id] = zone.name.trim();
+    }
+
+    await this.setStoreValue('power_saving_zones', zones);
+
+    zones = null;
+  }
+
+  /*
+  | Flow functions
+  */
+
+  // Trigger flows based on new data
+  async triggerFlows(data) {
+    // Wait for driver
+    await this.driver.ready();
+
+    let device = this;
+
+    // Location changed trigger
+    if (filled(data.location_moved)) {
+      this.driver.locationChangedTrigger.trigger(device, this.getLocationTokens(data)).then().catch(device.error);
+    }
+
+    // Activity goal reached trigger
+    if (this.hasCapability('activity_goal_progress') && 'activity_goal_progress' in data) {
+      const progress = this.getCapabilityValue('activity_goal_progress');
+
+      if (data.activity_goal_progress >= 100 && progress !== null && progress < 100) {
+        this.driver.activityGoalReachedTrigger.trigger(device, {
+          activity_minutes: data.activity_minutes,
+        }).then().catch(device.error);
+      }
+    }
+
+    // Battery triggers
+    if ('measure_battery' in data) {
+      await this.triggerBatteryFlows(data);
+    }
+
+    // Charging session and fully charged trigger
+    if ('charging_state' in data || 'measure_battery' in data) {
+      await this.updateChargingSession(data);
+    }
+
+    // Distance from home triggers
+    if (this.hasCapability('measure_distance_home') && 'measure_distance_home' in data) {
+      await this.triggerDistanceFlows(data.measure_distance_home, data.distance_trend);
+    }
+
+    // Geofence triggers
+    if ('geofence_membership' in data) {
+      await this.triggerGeofenceFlows(data.geofence_membership);
+    }
+
+    // Moving fast outside safe zone trigger
+    if ('movement_state' in data) {
+      await this.triggerMovementFlows(data);
+    }
+
+    // In Power Saving Zone trigger
+    if (this.hasCapability('in_power_saving_zone')) {
+      if (data.in_power_saving_zone && !this.getCapabilityValue('in_power_saving_zone')) {
+        this.driver.inPowerSavingZoneTrueTrigger.trigger(device, { power_saving_zone: data.power_saving_zone }).then().catch(device.error);
+      }
+    }
+
+    device = null;
+  }
+
+  // Trigger flows for battery level and time remaining
+  async triggerBatteryFlows(data) {
+    const battery = data.measure_battery;
+    const hours = 'battery_remaining' in data ? data.battery_remaining : null;
+    const charging = 'charging_state' in data ? data.charging_state : this.getCapabilityValue('charging_state') === true;
+    const alerts = this.getBatteryAlerts();
+
+    // Enable alerts again when battery level is high enough or charging
+    alerts.below = alerts.below.filter((percentage) => battery < percentage + this.constructor.BATTERY_HYSTERESIS);
+    alerts.runs_out = charging ? [] : alerts.runs_out;
+
+    await this.setStoreValue('battery_alerts', alerts);
+
+    let device = this;
+
+    this.driver.batteryBelowTrigger.trigger(device, { battery }, { battery, alerted: [...alerts.below] }).then().catch(device.error);
+
+    if (hours !== null) {
+      this.driver.batteryRunsOutTrigger.trigger(device, { battery, hours }, { hours, alerted: [...alerts.runs_out] }).then().catch(device.error);
+    }
+
+    device = null;
+  }
+
+  // Trigger flows for moving fast outside safe zone
+  async triggerMovementFlows(data) {
+    const membership = 'geofence_membership' in data ? data.geofence_membership : this.getStoreValue('geofence_membership') || [];
+
+    // Enable alerts again in a safe zone
+    if (membership.some((fence) => fence.fence_type === 'safe')) {
+      this.speedAlerts = [];
+
+      return;
+    }
+
+    const positions = this.getMovementPositions(this.history.last(10)).slice(-2);
+    const speed = positions.length === 2 ? Math.round(Movement.speedBetween(positions[0], positions[1])) : 0;
+
+    this.driver.movingFastTrigger.trigger(this, {
+      speed,
+      movement_state: this.homey.__(`movement_states.${data.movement_state}`),
+    }, {
+      alerted: [...(this.speedAlerts || [])],
+    }).then().catch(this.error);
+  }
+
+  // Trigger flows for failed or timed out command
+  async triggerCommandFlows(command, enabled, err) {
+    await this.driver.ready();
+
+    const tokens = {
+      command: this.homey.__(`commands.${command}`),
+      enabled,
+      error: err.message,
+    };
+
+    if (err.code === 'failed') {
+      this.driver.commandFailedTrigger.trigger(this, tokens).then().catch(this.error);
+    }
+
+    if (err.code === 'timeout') {
+      this.driver.commandTimedOutTrigger.trigger(this, tokens).then().catch(this.error);
+    }
+  }
+
+  // Trigger flows for distance from home
+  async triggerDistanceFlows(distance, trend) {
+    const previous = this.getCapabilityValue('measure_distance_home');
+    const previousTrend = this.getStoreValue('distance_trend') || 'stationary';
+    const tokens = { distance };
+
+    let device = this;
+
+    // Distance became greater than
+    if (previous !== null) {
+      this.driver.distanceHomeGreaterTrigger.trigger(device, tokens, { previous, distance }).then().catch(device.error);
+    }
+
+    // Trend changed
+    if (trend !== previousTrend) {
+      await this.setStoreValue('distance_trend', trend);
+
+      if (trend === 'approaching') {
+        this.driver.approachingHomeTrigger.trigger(device, tokens).then().catch(device.error);
+      }
+
+      if (trend === 'leaving') {
+        this.driver.leavingHomeTrigger.trigger(device, tokens).then().catch(device.error);
+      }
+    }
+
+    device = null;
+  }
+
+  // Trigger flows for entered and left geofences
+  async triggerGeofenceFlows(membership) {
+    const previous = this.getStoreValue('geofence_membership');
+
+    await this.setStoreValue('geofence_membership', membership);
+
+    // First evaluation, nothing to compare with
+    if (!Array.isArray(previous)) return;
+
+    const ids = membership.map((fence) => fence._id);
+    const previousIds = previous.map((fence) => fence._id);
+
+    let device = this;
+
+    // Left geofences
+    for (const fence of previous.filter((entry) => !ids.includes(entry._id))) {
+      const tokens = { geofence: fence.name };
+
+      if (fence.local) {
+        this.driver.localGeofenceLeftTrigger.trigger(device, tokens).then().catch(device.error);
+      } else {
+        this.driver.inGeofenceFalseTrigger.trigger(device, tokens).then().catch(device.error);
+      }
+    }
+
+    // Entered geofences
+    for (const fence of membership.filter((entry) => !previousIds.includes(entry._id))) {
+      const tokens = { geofence: fence.name };
+
+      if (fence.local) {
+        this.driver.localGeofenceEnteredTrigger.trigger(device, tokens).then().catch(device.error);
+
+        continue;
+      }
+
+      this.driver.inGeofenceTrueTrigger.trigger(device, tokens).then().catch(device.error);
+
+      // Safe zone
+      if (fence.fence_type === 'safe') {
+        this.driver.inSafeZoneTrueTrigger.trigger(device, tokens).then().catch(device.error);
+      }
+
+      // Danger zone
+      if (fence.fence_type === 'danger') {
+        this.driver.inDangerZoneTrueTrigger.trigger(device, tokens).then().catch(device.error);
+      }
+    }
+
+    device = null;
+  }
+
+  // Trigger summary flows scheduled at or before given time
+  async triggerSummaryFlows(time) {
+    await this.driver.ready();
+
+    const weekday = this.getLocalWeekday();
+
+    // Daily summary
+    const daily = await this.driver.dailySummaryTrigger.getArgumentValues(this);
+
+    for (const due of await this.getDueTimes('daily_summary', daily.map((entry) => entry.time), time)) {
+      this.driver.dailySummaryTrigger.trigger(this, this.getDailySummary(this.getSummaryDay(due)), { time: due }).then().catch(this.error);
+    }
+
+    // Weekly summary
+    const weekly = (await this.driver.weeklySummaryTrigger.getArgumentValues(this)).filter((entry) => entry.day === weekday);
+
+    for (const due of await this.getDueTimes(`weekly_summary_${weekday}`, weekly.map((entry) => entry.time), time)) {
+      this.driver.weeklySummaryTrigger.trigger(this, this.getWeeklySummary(this.getSummaryDay(due)), { time: due, weekday }).then().catch(this.error);
+    }
+  }
+
+  // Trigger activity flows scheduled at or before given time
+  async triggerActivityFlows(time) {
+    if (!this.hasCapability('activity_minutes')) return;
+
+    await this.driver.ready();
+
+    const args = await this.driver.activityBelowTrigger.getArgumentValues(this);
+    const activity = this.getCapabilityValue('activity_minutes') || 0;
+
+    for (const due of await this.getDueTimes('activity_below', args.map((entry) => entry.time), time)) {
+      this.driver.activityBelowTrigger.trigger(this, { activity_minutes: activity }, { time: due, activity }).then().catch(this.error);
+    }
+  }
+
+  // Return scheduled times (HH:mm) which passed and did not fire today, marks them as fired
+  async getDueTimes(name, times, now) {
+    const today = this.getLocalDate();
+    const previous = this.getStoreValue(`fired_${name}`) || {};
+    const fired = {};
+    const due = [];
+
+    for (const time of new Set(times)) {
+      fired[time] = time in previous ? previous[time] : null;
+
+      if (time > now || fired[time] === today) continue;
+
+      // New flow with time already passed today, start tomorrow
+      if (time in previous) due.push(time);
+
+      fired[time] = today;
+    }
+
+    await this.setStoreValue(`fired_${name}`, fired);
+
+    return due;
+  }
+
+  /*
+  | Listener functions
+  */
+
+  // Return OAuth2 session ID, used to route stream messages
+  getSessionId() {
+    return this.getStoreValue('OAuth2SessionId');
+  }
+
+  // Register capability listeners
+  registerCapabilityListeners() {
+    for (const capability of this.getCapabilities()) {
+      this.registerCommandListener(capability);
+    }
+  }
+
+  // Register listener for command capability, also used when capability is added
+  registerCommandListener(capability) {
+    if (!['buzzer_control', 'led_control', 'live_tracking'].includes(capability)) return;
+
+    this.registerCapabilityListener(capability, this.onCapabilityCommand.bind(this, capability));
+  }
+
+  // Register event listener
+  async registerEventListener() {
+    if (this.onStatus) return;
+
+    this.onStatus = this.onTrackerStatus.bind(this);
+
+    this.onState = this.onStreamState.bind(this);
+
+    this.homey.on('tracker_status', this.onStatus);
+    this.homey.on('stream_state', this.onState);
+
+    this.log('[Listener] Registered');
+  }
+
+  // Unregister event listener
+  async unregisterEventListener() {
+    if (!this.onStatus) return;
+
+    this.homey.off('tracker_status', this.onStatus);
+    this.homey.off('stream_state', this.onState);
+
+    this.onStatus = null;
+    this.onState = null;
+
+    this.log('[Listener] Unregistered');
+  }
+
+  /*
+  | Timer functions
+  */
+
+  // Scheduled at the start of every minute
+  async onSchedule() {
+    const time = this.getLocalTime();
+
+    this.triggerActivityFlows(time).catch(this.error);
+    this.checkFullyCharged().catch(this.error);
+    this.checkLastReport().catch(this.error);
+    this.checkMovement().catch(this.error);
+
+    // Archive previous day before summaries, also without new data
+    this.getInsights(this.getLocalDate())
+      .then(() => this.triggerSummaryFlows(time))
+      .catch(this.error);
+  }
+
+  // Return current weekday (monday - sunday) in Homey timezone
+  getLocalWeekday() {
+    return new Date().toLocaleDateString('en-US', {
+      timeZone: this.homey.clock.getTimezone(),
+      weekday: 'long',
+    }).toLowerCase();
+  }
+
+  // Return current time (HH:mm) in Homey timezone
+  getLocalTime() {
+    return new Date().toLocaleTimeString('en-GB', {
+      timeZone: this.homey.clock.getTimezone(),
+      hour: '2-digit',
+      minute: '2-digit',
+      hour12: false,
+    });
+  }
+
+  // Return current date (YYYY-MM-DD) in Homey timezone
+  getLocalDate(timestamp = Date.now()) {
+    return new Date(timestamp).toLocaleDateString('en-CA', {
+      timeZone: this.homey.clock.getTimezone(),
+    });
+  }
+
+  // Return date (YYYY-MM-DD) moved by given number of days
+  shiftDate(date, days) {
+    const result = new Date(`${date}T00:00:00Z`);
+    result.setUTCDate(result.getUTCDate() + days);
+
+    return result.toISOString().slice(0, 10);
+  }
+
+  // Return date and time in Homey timezone and language
+  formatDateTime(timestamp) {
+    return new Date(timestamp).toLocaleString(this.homey.i18n.getLanguage(), {
+      timeZone: this.homey.clock.getTimezone(),
+      day: 'numeric',
+      month: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hour12: false,
+    });
+  }
+
+  // Register timers
+  registerTimer() {
+    this.registerSyncTimer();
+    this.registerScheduleTimer();
+  }
+
+  // Unregister timers
+  unregisterTimer() {
+    this.unregisterSyncTimer();
+    this.unregisterScheduleTimer();
+  }
+
+  // Register synchronization timer
+  registerSyncTimer() {
+    if (this.syncTimer) return;
+
+    const interval = 1000 * 60 * (this.syncInterval || this.constructor.SYNC_INTERVAL);
+
+    this.syncTimer = this.homey.setInterval(this.sync.bind(this), interval);
+
+    this.log('[Timer] Registered');
+  }
+
+  // Unregister synchronization timer
+  unregisterSyncTimer() {
+    if (!this.syncTimer) return;
+
+    this.homey.clearInterval(this.syncTimer);
+    this.syncTimer = null;
 
     this.log('[Timer] Unregistered');
   }
 
+  // Register schedule timer, aligned to the start of the next minute
+  registerScheduleTimer() {
+    if (this.scheduleTimer) return;
+
+    const delay = (1000 * 60) - (Date.now() % (1000 * 60));
+
+    this.scheduleTimer = this.homey.setTimeout(() => {
+      this.scheduleTimer = null;
+      this.registerScheduleTimer();
+      this.onSchedule().catch(this.error);
+    }, delay);
+  }
+
+  // Unregister schedule timer
+  unregisterScheduleTimer() {
+    if (!this.scheduleTimer) return;
+
+    this.homey.clearTimeout(this.scheduleTimer);
+    this.scheduleTimer = null;
+  }
+
+  // Set synchronization interval (minutes)
+  setSyncInterval(minutes) {
+    if (this.syncInterval === minutes) return;
+
+    this.syncInterval = minutes;
+
+    this.unregisterSyncTimer();
+    this.registerSyncTimer();
+
+    this.log(`[Timer] Synchronizing every ${minutes} minutes`);
+  }
+
+  // Register timeout to write position history
+  registerPositionsTimer() {
+    if (this.positionsTimer) return;
+
+    this.positionsTimer = this.homey.setTimeout(() => {
+      this.positionsTimer = null;
+      this.persistPositions().catch(this.error);
+    }, 1000 * 60 * this.constructor.POSITIONS_SAVE_DELAY);
+  }
+
+  // Unregister position history timeout
+  unregisterPositionsTimer() {
+    if (!this.positionsTimer) return;
+
+    this.homey.clearTimeout(this.positionsTimer);
+    this.positionsTimer = null;
+  }
+
+  // Register lost-pet mode timeout
+  registerLostModeTimer(until) {
+    this.unregisterLostModeTimer();
+
+    if (blank(until)) return;
+
+    this.lostModeTimer = this.homey.setTimeout(() => {
+      this.lostModeTimer = null;
+      this.stopLostMode().catch(this.error);
+    }, Math.max(0, until - Date.now()));
+  }
+
+  // Unregister lost-pet mode timeout
+  unregisterLostModeTimer() {
+    if (!this.lostModeTimer) return;
+
+    this.homey.clearTimeout(this.lostModeTimer);
+    this.lostModeTimer = null;
+  }
+
+  // Register auto-off timeout
+  registerAutoOffTimer(command, until) {
+    this.unregisterAutoOffTimer(command);
+
+    if (!this.autoOffTimers) this.autoOffTimers = {};
+
+    this.autoOffTimers[command] = this.homey.setTimeout(() => {
+      delete this.autoOffTimers[command];
+      this.runAutoOff(command).catch(this.error);
+    }, Math.max(0, until - Date.now()));
+  }
+
+  // Unregister auto-off timeout
+  unregisterAutoOffTimer(command) {
+    if (!this.autoOffTimers || !this.autoOffTimers[command]) return;
+
+    this.homey.clearTimeout(this.autoOffTimers[command]);
+    delete this.autoOffTimers[command];
+  }
+
+  // Unregister all auto-off timeouts
+  unregisterAutoOffTimers() {
+    for (const command of Object.keys(this.autoOffTimers || {})) {
+      this.unregisterAutoOffTimer(command);
+    }
+  }
+
 }
 
 module.exports = Device;
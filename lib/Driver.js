@@ -1,8 +1,8 @@
 'use strict';
 
 const { OAuth2Driver } = require('homey-oauth2app');
-const { TrackerCapabilities } = require('./Enums');
-const { blank } = require('./Utils');
+const { AccessLevels, TrackerCapabilities } = require('./Enums');
+const { blank, filled } = require('./Utils');
 
 class Driver extends OAuth2Driver {
 
@@ -96,8 +96,8 @@ class Driver extends OAuth2Driver {
 
       await client.save();
 
-      // Set client for OAuth2 devices
-      await this.homey.app.setClientOAuth2Devices(client, OAuth2SessionId, OAuth2ConfigId);
+      // Set client for repaired device and devices of the same session
+      await this.homey.app.setClientOAuth2Devices(client, OAuth2SessionId, OAuth2ConfigId, device);
 
       return true;
     };
@@ -113,14 +113,22 @@ class Driver extends OAuth2Driver {
 
   // Return data to create the device
   getDeviceData(device) {
+    const { pet } = device;
+
     const data = {
-      name: device._id,
+      name: pet && filled(pet.name) ? pet.name : device._id,
       data: {
         id: device._id,
       },
+      store: {
+        pet,
+      },
       settings: {
         product_name: device.product_name,
         model_name: device.model_name,
+        pet_name: pet && filled(pet.name) ? pet.name : '-',
+        pet_species: pet && filled(pet.species) ? pet.species : '-',
+        access_level: this.homey.__(`access_levels.${device.read_only ? AccessLevels.READ_ONLY : AccessLevels.FULL}`),
       },
       capabilities: this.getPairCapabilities(device),
     };
@@ -137,8 +145,11 @@ class Driver extends OAuth2Driver {
       'tracker_state',
       'charging_state',
       'battery_state',
+      'battery_remaining',
+      'last_full_charge',
       'in_geofence',
       'geofence',
+      'local_geofence',
     ];
 
     for (const [name, capabilities] of Object.entries(TrackerCapabilities)) {
@@ -149,7 +160,7 @@ class Driver extends OAuth2Driver {
       }
     }
 
-    caps.push('location_source', 'altitude', 'speed', 'latitude', 'longitude');
+    caps.push('location_source', 'altitude', 'speed', 'movement_state', 'latitude', 'longitude', 'measure_distance_home', 'lost_pet_mode', 'connection_state');
 
     return caps;
   }
@@ -160,12 +171,30 @@ class Driver extends OAuth2Driver {
 
   // Register device trigger flow cards
   registerDeviceTriggerFlowCards() {
+    this.activityBelowTrigger = this.homey.flow.getDeviceTriggerCard('activity_below');
+    this.activityGoalReachedTrigger = this.homey.flow.getDeviceTriggerCard('activity_goal_reached');
+    this.batteryBelowTrigger = this.homey.flow.getDeviceTriggerCard('battery_below');
+    this.batteryRunsOutTrigger = this.homey.flow.getDeviceTriggerCard('battery_runs_out');
+    this.commandFailedTrigger = this.homey.flow.getDeviceTriggerCard('command_failed');
+    this.commandTimedOutTrigger = this.homey.flow.getDeviceTriggerCard('command_timed_out');
+    this.approachingHomeTrigger = this.homey.flow.getDeviceTriggerCard('distance_home_approaching');
+    this.dailySummaryTrigger = this.homey.flow.getDeviceTriggerCard('daily_summary');
+    this.distanceHomeGreaterTrigger = this.homey.flow.getDeviceTriggerCard('distance_home_greater');
+    this.fullyChargedTrigger = this.homey.flow.getDeviceTriggerCard('fully_charged');
+    this.leavingHomeTrigger = this.homey.flow.getDeviceTriggerCard('distance_home_leaving');
+    this.reportingResumedTrigger = this.homey.flow.getDeviceTriggerCard('reporting_resumed');
+    this.reportingStoppedTrigger = this.homey.flow.getDeviceTriggerCard('reporting_stopped');
+    this.lostModeChangedTrigger = this.homey.flow.getDeviceTriggerCard('lost_pet_mode_changed');
+    this.movingFastTrigger = this.homey.flow.getDeviceTriggerCard('moving_fast');
     this.locationChangedTrigger = this.homey.flow.getDeviceTriggerCard('location_changed');
     this.inDangerZoneTrueTrigger = this.homey.flow.getDeviceTriggerCard('in_danger_zone_true');
     this.inGeofenceFalseTrigger = this.homey.flow.getDeviceTriggerCard('in_geofence_false');
     this.inGeofenceTrueTrigger = this.homey.flow.getDeviceTriggerCard('in_geofence_true');
     this.inPowerSavingZoneTrueTrigger = this.homey.flow.getDeviceTriggerCard('in_power_saving_zone_true');
     this.inSafeZoneTrueTrigger = this.homey.flow.getDeviceTriggerCard('in_safe_zone_true');
+    this.localGeofenceEnteredTrigger = this.homey.flow.getDeviceTriggerCard('local_geofence_entered');
+    this.localGeofenceLeftTrigger = this.homey.flow.getDeviceTriggerCard('local_geofence_left');
+    this.weeklySummaryTrigger = this.homey.flow.getDeviceTriggerCard('weekly_summary');
 
     this.log('Device trigger flow cards registered');
   }
@@ -1,6 +1,24 @@
 'use strict';
 
 module.exports = {
+  AccessLevels: {
+    FULL: 'full',
+    READ_ONLY: 'read_only',
+  },
+  StreamStates: {
+    IDLE: 'idle',
+    CONNECTING: 'connecting',
+    CONNECTED: 'connected',
+    BACKING_OFF: 'backing_off',
+    AUTH_FAILED: 'auth_failed',
+  },
+  HealthCapabilities: [
+    'activity_minutes',
+    'activity_goal_progress',
+    'rest_minutes',
+    'sleep_minutes',
+    'calories',
+  ],
   TrackerCapabilities: {
     WIFI_ZONE: ['in_power_saving_zone', 'power_saving_zone'],
     LT: ['live_tracking'],
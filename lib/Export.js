@@ -0,0 +1,207 @@
+'use strict';
+
+const geo = require('geolib');
+
+const CIRCLE_POINTS = 36;
+
+/**
+ * Escape value for use in XML.
+ *
+ * @param  value
+ * @return string
+ */
+const xml = function xml(value) {
+  return String(value === null || typeof value === 'undefined' ? '' : value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+};
+
+/**
+ * Return closed ring of [latitude, longitude] pairs for a geofence.
+ * Circles are approximated by a polygon.
+ *
+ * @param  fence
+ * @return array
+ */
+const fenceRing = function fenceRing(fence) {
+  let ring = [];
+
+  if (fence.shape === 'circle') {
+    const center = { latitude: fence.coords[0][0], longitude: fence.coords[0][1] };
+
+    for (let i = 0; i < CIRCLE_POINTS; i++) {
+      const point = geo.computeDestinationPoint(center, fence.radius, (360 / CIRCLE_POINTS) * i);
+
+      ring.push([point.latitude, point.longitude]);
+    }
+  } else {
+    ring = fence.coords.map((coord) => [coord[0], coord[1]]);
+  }
+
+  // Close ring
+  if (ring.length > 0) {
+    ring.push(ring[0]);
+  }
+
+  return ring;
+};
+
+/**
+ * Return GeoJSON feature collection.
+ *
+ * @param  name
+ * @param  positions
+ * @param  fences
+ * @return object
+ */
+const toGeoJSON = function toGeoJSON(name, positions, fences) {
+  const features = [];
+
+  features.push({
+    type: 'Feature',
+    geometry: {
+      type: 'LineString',
+      coordinates: positions.map((p) => (Number.isFinite(p.altitude) ? [p.longitude, p.latitude, p.altitude] : [p.longitude, p.latitude])),
+    },
+    properties: {
+      name,
+      times: positions.map((p) => new Date(p.timestamp).toISOString()),
+      speeds: positions.map((p) => p.speed),
+      location_sources: positions.map((p) => p.location_source),
+      accuracies: positions.map((p) => p.accuracy),
+    },
+  });
+
+  for (const fence of fences) {
+    const properties = {
+      name: fence.name,
+      fence_type: fence.fence_type,
+      shape: fence.shape,
+    };
+
+    if (fence.shape === 'circle') {
+      properties.center = [fence.coords[0][1], fence.coords[0][0]];
+      properties.radius = fence.radius;
+    }
+
+    features.push({
+      type: 'Feature',
+      geometry: {
+        type: 'Polygon',
+        coordinates: [fenceRing(fence).map((coord) => [coord[1], coord[0]])],
+      },
+      properties,
+    });
+  }
+
+  return {
+    type: 'FeatureCollection',
+    features,
+  };
+};
+
+/**
+ * Return GPX document. Geofences are added as closed routes.
+ *
+ * @param  name
+ * @param  positions
+ * @param  fences
+ * @return string
+ */
+const toGpx = function toGpx(name, positions, fences) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<gpx version="1.1" creator="Tractive for Homey" xmlns="http://www.topografix.com/GPX/1/1">',
+    `  <metadata><name>${xml(name)}</name></metadata>`,
+  ];
+
+  for (const fence of fences) {
+    lines.push('  <rte>', `    <name>${xml(fence.name)}</name>`, `    <type>${xml(fence.fence_type)}</type>`);
+
+    for (const [lat, lon] of fenceRing(fence)) {
+      lines.push(`    <rtept lat="${lat}" lon="${lon}"/>`);
+    }
+
+    lines.push('  </rte>');
+  }
+
+  lines.push('  <trk>', `    <name>${xml(name)}</name>`, '    <trkseg>');
+
+  for (const position of positions) {
+    lines.push(`      <trkpt lat="${position.latitude}" lon="${position.longitude}">`);
+
+    if (Number.isFinite(position.altitude)) {
+      lines.push(`        <ele>${position.altitude}</ele>`);
+    }
+
+    lines.push(`        <time>${new Date(position.timestamp).toISOString()}</time>`);
+
+    if (position.location_source) {
+      lines.push(`        <src>${xml(position.location_source)}</src>`);
+    }
+
+    lines.push('      </trkpt>');
+  }
+
+  lines.push('    </trkseg>', '  </trk>', '</gpx>');
+
+  return lines.join('\n');
+};
+
+/**
+ * Return KML document.
+ *
+ * @param  name
+ * @param  positions
+ * @param  fences
+ * @return string
+ */
+const toKml = function toKml(name, positions, fences) {
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">',
+    '  <Document>',
+    `    <name>${xml(name)}</name>`,
+  ];
+
+  for (const fence of fences) {
+    const ring = fenceRing(fence).map(([lat, lon]) => `${lon},${lat}`).join(' ');
+
+    lines.push(
+      '    <Placemark>',
+      `      <name>${xml(fence.name)}</name>`,
+      `      <description>${xml(fence.fence_type)}</description>`,
+      '      <Polygon><outerBoundaryIs><LinearRing>',
+      `        <coordinates>${ring}</coordinates>`,
+      '      </LinearRing></outerBoundaryIs></Polygon>',
+      '    </Placemark>',
+    );
+  }
+
+  lines.push(
+    '    <Placemark>',
+    `      <name>${xml(name)}</name>`,
+    '      <gx:Track>',
+    '        <altitudeMode>clampToGround</altitudeMode>',
+  );
+
+  for (const position of positions) {
+    lines.push(`        <when>${new Date(position.timestamp).toISOString()}</when>`);
+  }
+
+  for (const position of positions) {
+    lines.push(`        <gx:coord>${position.longitude} ${position.latitude} ${position.altitude || 0}</gx:coord>`);
+  }
+
+  lines.push('      </gx:Track>', '    </Placemark>', '  </Document>', '</kml>');
+
+  return lines.join('\n');
+};
+
+module.exports.Formats = ['gpx', 'geojson', 'kml'];
+module.exports.toGeoJSON = toGeoJSON;
+module.exports.toGpx = toGpx;
+module.exports.toKml = toKml;
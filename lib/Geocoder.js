@@ -0,0 +1,37 @@
+/* eslint-disable camelcase */
+
+'use strict';
+
+/**
+ * Reverse geocoder, returns an address for coordinates.
+ * Implementations must resolve with an object containing the
+ * house_number, zip_code, country, street and city properties.
+ */
+class Geocoder {
+
+  // Name used in logs
+  get name() {
+    return this.constructor.name;
+  }
+
+  // Return address by coordinates
+  async reverse(latitude, longitude) {
+    throw new Error('Not implemented');
+  }
+
+  // Return normalized address
+  normalize({
+    house_number, zip_code, country, street, city,
+  }) {
+    return {
+      house_number: (house_number || '').toLowerCase(),
+      zip_code: (zip_code || '').toUpperCase(),
+      country: (country || '').toUpperCase(),
+      street: (street || '').toLowerCase(),
+      city: (city || '').toLowerCase(),
+    };
+  }
+
+}
+
+module.exports = Geocoder;
@@ -0,0 +1,239 @@
+'use strict';
+
+const geo = require('geolib');
+const { blank, filled } = require('./Utils');
+
+const SHAPES = ['circle', 'rectangle', 'polygon', 'home'];
+
+/**
+ * Determine if the given coordinates are within the geofence.
+ *
+ * @param  fence
+ * @param  coordinates
+ * @return boolean
+ */
+const contains = function contains(fence, coordinates) {
+  // Circle
+  if (fence.shape === 'circle') {
+    const latlong = {
+      latitude: fence.coords[0][0],
+      longitude: fence.coords[0][1],
+    };
+
+    return geo.isPointWithinRadius(coordinates, latlong, fence.radius);
+  }
+
+  // Rectangle and polygon
+  if (fence.shape === 'rectangle' || fence.shape === 'polygon') {
+    const coords = [];
+
+    for (const coord of fence.coords) {
+      coords.push({ latitude: coord[0], longitude: coord[1] });
+    }
+
+    return geo.isPointInPolygon(coordinates, coords);
+  }
+
+  return false;
+};
+
+/**
+ * Return first geofence containing the given coordinates.
+ *
+ * @param  fences
+ * @param  coordinates
+ * @return object|null
+ */
+const find = function find(fences, coordinates) {
+  return fences.find((fence) => contains(fence, coordinates)) || null;
+};
+
+/**
+ * Return all geofences containing the given coordinates.
+ *
+ * @param  fences
+ * @param  coordinates
+ * @return array
+ */
+const all = function all(fences, coordinates) {
+  return fences.filter((fence) => contains(fence, coordinates));
+};
+
+/**
+ * Return signed distance in meters from the coordinates to the geofence
+ * boundary. The distance is negative when the coordinates are inside.
+ *
+ * @param  fence
+ * @param  coordinates
+ * @return number
+ */
+const distance = function distance(fence, coordinates) {
+  // Circle
+  if (fence.shape === 'circle') {
+    const latlong = {
+      latitude: fence.coords[0][0],
+      longitude: fence.coords[0][1],
+    };
+
+    return geo.getDistance(coordinates, latlong, 0.1) - fence.radius;
+  }
+
+  // Rectangle and polygon
+  const ring = fence.coords.map((coord) => ({ latitude: coord[0], longitude: coord[1] }));
+  let shortest = Infinity;
+
+  for (let i = 0; i < ring.length; i++) {
+    const edge = geo.getDistanceFromLine(coordinates, ring[i], ring[(i + 1) % ring.length], 0.1);
+
+    // Point is on the edge
+    shortest = Math.min(shortest, Number.isFinite(edge) ? edge : 0);
+  }
+
+  return contains(fence, coordinates) ? -shortest : shortest;
+};
+
+/**
+ * Return geofences containing the given coordinates using hysteresis.
+ * A fence is entered when the coordinates are at least the enter buffer
+ * inside it, and left when they are more than the exit buffer outside it.
+ *
+ * @param  fences
+ * @param  coordinates
+ * @param  currentIds IDs of fences the device is currently in
+ * @param  buffers
+ * @return array
+ */
+const evaluate = function evaluate(fences, coordinates, currentIds, { enter = 0, exit = 0 } = {}) {
+  if (!enter && !exit) return all(fences, coordinates);
+
+  return fences.filter((fence) => {
+    const meters = distance(fence, coordinates);
+
+    if (currentIds.includes(fence._id)) {
+      return meters <= exit;
+    }
+
+    return meters <= -enter;
+  });
+};
+
+/**
+ * Return validated coordinate pair.
+ *
+ * @param  coord
+ * @return array
+ */
+const parseCoord = function parseCoord(coord) {
+  if (!Array.isArray(coord) || coord.length !== 2) {
+    throw new Error('coordinates must be [latitude, longitude] pairs');
+  }
+
+  const latitude = Number(coord[0]);
+  const longitude = Number(coord[1]);
+
+  if (!Number.isFinite(latitude) || Math.abs(latitude) > 90 || !Number.isFinite(longitude) || Math.abs(longitude) > 180) {
+    throw new Error(`invalid coordinate [${coord}]`);
+  }
+
+  return [latitude, longitude];
+};
+
+/**
+ * Return local geofences parsed from the device setting (JSON).
+ *
+ * Supported shapes:
+ * - circle: { "name", "shape": "circle", "coords": [[lat, long]], "radius" }
+ * - polygon: { "name", "shape": "polygon", "coords": [[lat, long], ...] }
+ * - home: { "name", "shape": "home", "radius" } (around the Homey location)
+ *
+ * @param  raw
+ * @return array
+ */
+const parseLocal = function parseLocal(raw) {
+  if (blank(raw)) return [];
+
+  let entries;
+
+  try {
+    entries = JSON.parse(raw);
+  } catch (err) {
+    throw new Error('invalid JSON');
+  }
+
+  if (!Array.isArray(entries)) {
+    throw new Error('value must be a list of fences');
+  }
+
+  const names = [];
+
+  return entries.map((entry, index) => {
+    if (blank(entry) || typeof entry !== 'object') {
+      throw new Error(`fence ${index + 1} must be an object`);
+    }
+
+    const name = filled(entry.name) ? String(entry.name).trim() : '';
+    const shape = filled(entry.shape) ? String(entry.shape).toLowerCase() : '';
+
+    if (blank(name)) {
+      throw new Error(`fence ${index + 1} has no name`);
+    }
+
+    if (names.includes(name.toLowerCase())) {
+      throw new Error(`fence "${name}" is defined more than once`);
+    }
+
+    if (!SHAPES.includes(shape)) {
+      throw new Error(`fence "${name}" has unknown shape "${entry.shape}"`);
+    }
+
+    names.push(name.toLowerCase());
+
+    const fence = {
+      _id: `local_${name.toLowerCase()}`,
+      name,
+      shape,
+      coords: [],
+      radius: null,
+      fence_type: 'local',
+      local: true,
+    };
+
+    // Circle and home require radius
+    if (shape === 'circle' || shape === 'home') {
+      fence.radius = Number(entry.radius);
+
+      if (!Number.isFinite(fence.radius) || fence.radius <= 0) {
+        throw new Error(`fence "${name}" requires a positive radius in meters`);
+      }
+    }
+
+    if (shape === 'home') return fence;
+
+    if (!Array.isArray(entry.coords)) {
+      throw new Error(`fence "${name}" has no coordinates`);
+    }
+
+    try {
+      fence.coords = entry.coords.map(parseCoord);
+    } catch (err) {
+      throw new Error(`fence "${name}" has ${err.message}`);
+    }
+
+    if (shape === 'circle' && fence.coords.length !== 1) {
+      throw new Error(`fence "${name}" requires exactly one center coordinate`);
+    }
+
+    if (shape !== 'circle' && fence.coords.length < 3) {
+      throw new Error(`fence "${name}" requires at least three coordinates`);
+    }
+
+    return fence;
+  });
+};
+
+module.exports.all = all;
+module.exports.contains = contains;
+module.exports.distance = distance;
+module.exports.evaluate = evaluate;
+module.exports.find = find;
+module.exports.parseLocal = parseLocal;
@@ -0,0 +1,109 @@
+'use strict';
+
+const geo = require('geolib');
+
+// Upper speed (km/h) of each movement state
+const THRESHOLDS = [
+  ['resting', 1],
+  ['walking', 7],
+  ['running', 35],
+];
+
+/**
+ * Return positions with an accuracy of at most the given meters. Positions
+ * without a known accuracy are kept.
+ *
+ * @param  positions
+ * @param  maxAccuracy
+ * @return array
+ */
+const accurate = function accurate(positions, maxAccuracy) {
+  return positions.filter((position) => !Number.isFinite(position.accuracy) || position.accuracy <= maxAccuracy);
+};
+
+/**
+ * Return speed in km/h between two positions. The reported speed of the
+ * newest position is used when it is higher than the calculated speed.
+ *
+ * @param  from
+ * @param  to
+ * @return number
+ */
+const speedBetween = function speedBetween(from, to) {
+  const seconds = (to.timestamp - from.timestamp) / 1000;
+  const reported = Number(to.speed || 0) * 3.6;
+
+  if (seconds <= 0) return reported;
+
+  const meters = geo.getDistance(from, to, 0.1);
+
+  return Math.max(reported, (meters / seconds) * 3.6);
+};
+
+/**
+ * Return average speed in km/h over the positions (oldest first).
+ *
+ * @param  positions
+ * @return number
+ */
+const speed = function speed(positions) {
+  if (positions.length === 0) return 0;
+
+  const first = positions[0];
+  const last = positions[positions.length - 1];
+
+  if (positions.length === 1) return Number(last.speed || 0) * 3.6;
+
+  const seconds = (last.timestamp - first.timestamp) / 1000;
+  const reported = positions.reduce((sum, position) => sum + Number(position.speed || 0), 0) / positions.length;
+
+  let meters = 0;
+
+  for (let i = 1; i < positions.length; i++) {
+    meters += geo.getDistance(positions[i - 1], positions[i], 0.1);
+  }
+
+  return Math.max(reported * 3.6, seconds > 0 ? (meters / seconds) * 3.6 : 0);
+};
+
+/**
+ * Return movement state for speed in km/h.
+ *
+ * @param  kmh
+ * @return string
+ */
+const classify = function classify(kmh) {
+  for (const [state, max] of THRESHOLDS) {
+    if (kmh < max) return state;
+  }
+
+  return 'vehicle';
+};
+
+/**
+ * Return number of seconds the positions (oldest first) were moving at
+ * least the given speed in km/h, counted back from the newest position.
+ *
+ * @param  positions
+ * @param  kmh
+ * @return number
+ */
+const durationAbove = function durationAbove(positions, kmh) {
+  let start = null;
+
+  for (let i = positions.length - 1; i > 0; i--) {
+    if (speedBetween(positions[i - 1], positions[i]) < kmh) break;
+
+    start = positions[i - 1].timestamp;
+  }
+
+  if (start === null) return 0;
+
+  return (positions[positions.length - 1].timestamp - start) / 1000;
+};
+
+module.exports.accurate = accurate;
+module.exports.classify = classify;
+module.exports.durationAbove = durationAbove;
+module.exports.speed = speed;
+module.exports.speedBetween = speedBetween;
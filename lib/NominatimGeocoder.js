@@ -0,0 +1,55 @@
+'use strict';
+
+const fetch = require('node-fetch');
+const Geocoder = require('./Geocoder');
+const { blank } = require('./Utils');
+
+// Reverse geocoder using a Nominatim (OpenStreetMap) server, for example a local instance
+class NominatimGeocoder extends Geocoder {
+
+  static TIMEOUT = 10; // Seconds
+
+  constructor(url, language = 'en') {
+    super();
+
+    this.url = url.replace(/\/+$/, '');
+    this.language = language;
+  }
+
+  // Return address by coordinates
+  async reverse(latitude, longitude) {
+    const url = `${this.url}/reverse?format=jsonv2&addressdetails=1&lat=${latitude}&lon=${longitude}`;
+
+    const response = await fetch(url, {
+      timeout: 1000 * this.constructor.TIMEOUT,
+      headers: {
+        Accept: 'application/json',
+        'Accept-Language': this.language,
+        'User-Agent': 'com.tractive (Homey)',
+      },
+    });
+
+    if (!response.ok) {
+      throw new Error(`Nominatim request failed (${response.status})`);
+    }
+
+    const result = await response.json();
+
+    if (blank(result) || blank(result.address)) {
+      throw new Error(result && result.error ? result.error : 'Nominatim returned no address');
+    }
+
+    const { address } = result;
+
+    return this.normalize({
+      house_number: address.house_number,
+      zip_code: address.postcode,
+      country: address.country_code,
+      street: address.road || address.pedestrian || address.footway,
+      city: address.city || address.town || address.village || address.municipality,
+    });
+  }
+
+}
+
+module.exports = NominatimGeocoder;
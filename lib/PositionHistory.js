@@ -0,0 +1,165 @@
+'use strict';
+
+const { blank } = require('./Utils');
+
+class PositionHistory {
+
+  static MAX_AGE = 24; // Hours
+  static MAX_SIZE = 2000;
+
+  constructor(positions = [], maxSize = PositionHistory.MAX_SIZE, maxAge = PositionHistory.MAX_AGE) {
+    this.maxSize = maxSize;
+    this.maxAge = maxAge;
+    this.positions = Array.isArray(positions) ? [...positions] : [];
+
+    this.positions.sort((a, b) => a.timestamp - b.timestamp);
+    this.prune();
+  }
+
+  /*
+  | Mutation functions
+  */
+
+  // Add position, returns false when already known
+  add(position) {
+    if (blank(position) || !Number.isFinite(position.timestamp)) return false;
+
+    const index = this.indexAfter(position.timestamp);
+
+    // Position with same timestamp already recorded
+    if (index > 0 && this.positions[index - 1].timestamp === position.timestamp) {
+      return false;
+    }
+
+    this.positions.splice(index, 0, position);
+
+    this.prune();
+
+    return true;
+  }
+
+  // Drop positions older than maximum age, thin out when there are too many
+  prune() {
+    const latest = this.latest();
+    if (!latest) return;
+
+    const index = this.indexAfter(latest.timestamp - (1000 * 60 * 60 * this.maxAge) - 1);
+
+    if (index > 0) {
+      this.positions.splice(0, index);
+    }
+
+    // Remove positions closest to their neighbours, so the whole period stays covered
+    while (this.positions.length > this.maxSize) {
+      this.positions.splice(this.densestIndex(), 1);
+    }
+  }
+
+  // Remove all positions
+  clear() {
+    this.positions = [];
+  }
+
+  /*
+  | Query functions
+  */
+
+  // Return position at given time (last known position before or at timestamp)
+  at(timestamp) {
+    const index = this.indexAfter(timestamp);
+
+    if (index === 0) return null;
+
+    return this.positions[index - 1];
+  }
+
+  // Return positions between timestamps (inclusive), oldest first
+  between(from, to) {
+    return this.positions.filter((position) => position.timestamp >= from && position.timestamp <= to);
+  }
+
+  // Return periods between timestamps without a position for longer than given milliseconds
+  gaps(from, to, minGap) {
+    const gaps = [];
+    let previous = from;
+
+    for (const position of this.between(from, to)) {
+      if (position.timestamp - previous > minGap) {
+        gaps.push({ from: previous, to: position.timestamp });
+      }
+
+      previous = position.timestamp;
+    }
+
+    if (to - previous > minGap) {
+      gaps.push({ from: previous, to });
+    }
+
+    return gaps;
+  }
+
+  // Return last positions, oldest first
+  last(count = 1) {
+    if (count <= 0) return [];
+
+    return this.positions.slice(-count);
+  }
+
+  // Return latest position
+  latest() {
+    return this.positions[this.positions.length - 1] || null;
+  }
+
+  // Return number of positions
+  get size() {
+    return this.positions.length;
+  }
+
+  // Return positions for storage
+  toJSON() {
+    return this.positions;
+  }
+
+  /*
+  | Support functions
+  */
+
+  // Return index of position which leaves the smallest gap when removed,
+  // first and latest positions are always kept
+  densestIndex() {
+    let index = 1;
+    let smallest = Infinity;
+
+    for (let i = 1; i < this.positions.length - 1; i++) {
+      const gap = this.positions[i + 1].timestamp - this.positions[i - 1].timestamp;
+
+      if (gap < smallest) {
+        smallest = gap;
+        index = i;
+      }
+    }
+
+    return index;
+  }
+
+  // Return index of first position newer than timestamp
+  indexAfter(timestamp) {
+    let low = 0;
+    let high = this.positions.length;
+
+    while (low < high) {
+      const mid = (low + high) >>> 1;
+
+      if (this.positions[mid].timestamp <= timestamp) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+
+    return low;
+  }
+
+}
+
+module.exports = PositionHistory;
@@ -0,0 +1,444 @@
+/* eslint-disable camelcase */
+
+'use strict';
+
+const AbortController = require('abort-controller');
+const fetch = require('node-fetch');
+const Homey = require('homey');
+const StreamParser = require('./StreamParser');
+const { StreamStates } = require('./Enums');
+const { blank } = require('./Utils');
+
+class Stream {
+
+  static BACKOFF_MIN = 5; // Seconds
+  static BACKOFF_MAX = 60 * 10; // Seconds
+  static HEARTBEAT_INTERVAL = 10; // Seconds
+  static HEARTBEAT_TIMEOUT = 60 * 3; // Seconds
+
+  // Token refresh statuses which mean the credentials were rejected
+  static AUTH_ERRORS = [400, 401, 403];
+
+  // Errors which mean there is nothing to connect
+  static IDLE_ERRORS = [
+    'No OAuth2 Session Found',
+    'No OAuth2 Devices Found',
+    'No OAuth2 Client Found',
+  ];
+
+  constructor({ app, sessionId }) {
+    this.app = app;
+    this.homey = app.homey;
+    this.sessionId = sessionId;
+
+    this.state = StreamStates.IDLE;
+    this.reconnectAttempt = 0;
+
+    this.error = this.error.bind(this);
+  }
+
+  /*
+  | Stream functions
+  */
+
+  // Register message stream, retry immediately when authentication failed
+  async register() {
+    if (this.state !== StreamStates.IDLE && this.state !== StreamStates.AUTH_FAILED) return;
+
+    await this.connect();
+  }
+
+  // Connect message stream
+  async connect() {
+    this.unregisterReconnectTimer();
+    this.setState(StreamStates.CONNECTING);
+
+    let client;
+
+    try {
+      // Make sure there are devices to receive messages
+      await this.app.getSavedOAuth2Devices(this.sessionId);
+
+      // Get client
+      client = await this.app.getSavedOAuth2Client(this.sessionId);
+
+      this.log('Registering');
+
+      // Get access token
+      const token = client.getToken().access_token || null;
+      if (blank(token)) throw new Error('No OAuth2 Token Found');
+
+      // Set abort controller
+      this.controller = new AbortController();
+
+      // Initiate stream
+      const response = await fetch(Homey.env.TRACTIVE_CHANNEL_URL, {
+        method: 'POST',
+        signal: this.controller.signal,
+        headers: {
+          Authorization: `Bearer ${token}`,
+          Accept: 'application/json',
+          'Content-Type': 'application/json',
+          'X-Tractive-Client': Homey.env.CLIENT_ID,
+        },
+      });
+
+      if (!response.ok) {
+        const err = new Error(`Failed HTTP response (${response.status})`);
+        err.status = response.status;
+        err.statusText = response.statusText;
+
+        throw err;
+      }
+
+      // Stream was unregistered while connecting
+      if (this.state !== StreamStates.CONNECTING) {
+        response.body.destroy();
+
+        return;
+      }
+
+      // Set message parser
+      this.registerParser();
+
+      this.stream = response.body;
+
+      this.stream
+        .on('data', this.onData.bind(this))
+        .on('end', this.onEnded.bind(this))
+        .on('error', this.onError.bind(this))
+        .on('close', this.onClosed.bind(this));
+
+      this.lastKeepAlive = Date.now();
+      this.lastError = null;
+
+      this.setState(StreamStates.CONNECTED);
+
+      // Register heartbeat timer
+      this.registerTimer();
+
+      this.log('Registered');
+    } catch (err) {
+      await this.onConnectError(err, client);
+    } finally {
+      client = null;
+    }
+  }
+
+  // Reconnect message stream
+  reconnect() {
+    this.unregisterTimer();
+
+    // State must change before destroying, otherwise close event reconnects
+    this.scheduleReconnect();
+    this.destroy();
+  }
+
+  // Schedule reconnect using jittered exponential backoff
+  scheduleReconnect() {
+    this.unregisterReconnectTimer();
+
+    const delay = this.getBackoffDelay(this.reconnectAttempt);
+    this.reconnectAttempt++;
+
+    this.setState(StreamStates.BACKING_OFF);
+    this.registerReconnectTimer(delay);
+  }
+
+  // Unregister stream
+  async unregister() {
+    this.unregisterTimer();
+    this.unregisterReconnectTimer();
+
+    this.reconnectAttempt = 0;
+
+    // State must change before destroying, otherwise close event reconnects
+    this.setState(StreamStates.IDLE);
+    this.destroy();
+  }
+
+  // Destroy stream and abort request
+  destroy() {
+    if (!this.stream && !this.controller) return;
+
+    try {
+      this.log('Unregistering');
+
+      // Abort request
+      if (this.controller) {
+        if (!this.controller.signal.aborted) {
+          this.log('Abort request');
+
+          this.controller.abort();
+        }
+
+        this.controller = null;
+      }
+
+      // Destroy stream
+      if (this.stream && !this.stream.destroyed) {
+        this.stream.destroy();
+      }
+    } catch (err) {
+      this.error(err.toString());
+    } finally {
+      this.unregisterParser();
+      this.stream = null;
+
+      this.log('Unregistered');
+    }
+  }
+
+  // Set stream state and notify devices of this session
+  setState(state) {
+    if (this.state === state) return;
+
+    this.state = state;
+
+    this.log(`State is now '${state}'`);
+
+    this.homey.emit('stream_state', state, this.sessionId);
+  }
+
+  // Return jittered exponential backoff delay in milliseconds
+  getBackoffDelay(attempt) {
+    const { BACKOFF_MIN, BACKOFF_MAX } = this.constructor;
+
+    const delay = Math.min(BACKOFF_MAX, BACKOFF_MIN * (2 ** attempt));
+
+    // Random delay between half and full backoff
+    return Math.round(1000 * ((delay / 2) + (Math.random() * (delay / 2))));
+  }
+
+  // Check stream health
+  async check() {
+    if (this.state !== StreamStates.CONNECTED) return;
+
+    // Stop stream when there are no devices left
+    try {
+      await this.app.getSavedOAuth2Devices(this.sessionId);
+    } catch (err) {
+      this.log(err.message);
+
+      await this.unregister();
+
+      return;
+    }
+
+    // Use double keep-alive TTL when received in handshake
+    const timeout = 1000 * (this.keepAliveTTL ? this.keepAliveTTL * 2 : this.constructor.HEARTBEAT_TIMEOUT);
+
+    if (Date.now() - this.lastKeepAlive <= timeout) return;
+
+    this.log('No keep-alive received, connection is stale');
+
+    this.reconnect();
+  }
+
+  /*
+  | Stream events
+  */
+
+  // Stream could not be connected
+  async onConnectError(err, client) {
+    this.destroy();
+
+    // Stream was unregistered while connecting
+    if (this.state !== StreamStates.CONNECTING) return;
+
+    // Nothing to connect
+    if (this.constructor.IDLE_ERRORS.includes(err.message)) {
+      this.setState(StreamStates.IDLE);
+
+      return;
+    }
+
+    // Refresh token when unauthorized
+    if (err.status === 401) {
+      this.log('Refresh oAuth token (401)');
+
+      try {
+        await client.refreshToken();
+      } catch (refreshErr) {
+        this.error('Refresh oAuth token failed:', refreshErr.toString());
+
+        // Credentials rejected, retry after maximum backoff or when registered again
+        if (this.constructor.AUTH_ERRORS.includes(refreshErr.status)) {
+          this.setState(StreamStates.AUTH_FAILED);
+          this.registerReconnectTimer(1000 * this.constructor.BACKOFF_MAX);
+
+          return;
+        }
+
+        // Network or server error, retry using backoff
+      }
+    } else if (err.message !== this.lastError) {
+      // Prevent logging the same error on every attempt
+      this.error(err.toString());
+    }
+
+    this.lastError = err.message;
+
+    this.scheduleReconnect();
+  }
+
+  // Stream connection closed
+  onClosed(err) {
+    // Closed on purpose
+    if (this.state !== StreamStates.CONNECTED) return;
+
+    let msg = 'Connection closed';
+    if (err) msg += ` due to error "${err}"`;
+
+    this.log(msg);
+
+    this.reconnect();
+  }
+
+  // Stream error
+  onError(err) {
+    this.error(err.toString());
+  }
+
+  // Stream data received
+  onData(chunk) {
+    if (!this.parser) return;
+
+    this.parser.write(chunk);
+  }
+
+  // Stream ended
+  onEnded() {
+    if (!this.parser) return;
+
+    this.parser.end();
+  }
+
+  /*
+  | Parser functions
+  */
+
+  // Register message parser
+  registerParser() {
+    this.unregisterParser();
+
+    this.parser = new StreamParser();
+
+    this.parser
+      .on('handshake', this.onHandshake.bind(this))
+      .on('keep-alive', this.onKeepAlive.bind(this))
+      .on('tracker_status', this.onTrackerStatus.bind(this))
+      .on('unknown', this.onUnknownMessage.bind(this))
+      .on('invalid', this.onInvalidMessage.bind(this));
+  }
+
+  // Unregister message parser
+  unregisterParser() {
+    if (!this.parser) return;
+
+    this.parser.removeAllListeners();
+    this.parser = null;
+  }
+
+  /*
+  | Parser events
+  */
+
+  // Handshake message received
+  onHandshake(data) {
+    this.keepAliveTTL = Number(data.keepAliveTTL) || null;
+    this.lastKeepAlive = Date.now();
+
+    // Connection is healthy, reset backoff
+    this.reconnectAttempt = 0;
+
+    this.log('Handshake received');
+  }
+
+  // Keep-alive message received
+  onKeepAlive(data) {
+    if ('keepAliveTTL' in data) {
+      this.keepAliveTTL = Number(data.keepAliveTTL) || null;
+    }
+
+    this.lastKeepAlive = Date.now();
+  }
+
+  // Tracker status message received
+  onTrackerStatus(data) {
+    this.lastKeepAlive = Date.now();
+
+    this.homey.emit('tracker_status', data, this.sessionId);
+  }
+
+  // Unknown message received
+  onUnknownMessage(data) {
+    this.log('Unknown message:', data.message);
+  }
+
+  // Invalid message received
+  onInvalidMessage(body, err) {
+    this.error('Invalid message:', body, err.message);
+  }
+
+  /*
+  | Timer functions
+  */
+
+  // Register heartbeat timer
+  registerTimer() {
+    if (this.checkTimer) return;
+
+    const interval = 1000 * this.constructor.HEARTBEAT_INTERVAL;
+    this.checkTimer = this.homey.setInterval(this.check.bind(this), interval);
+
+    this.log('Timer registered');
+  }
+
+  // Unregister heartbeat timer
+  unregisterTimer() {
+    if (!this.checkTimer) return;
+
+    this.homey.clearInterval(this.checkTimer);
+    this.checkTimer = null;
+
+    this.log('Timer unregistered');
+  }
+
+  // Register reconnect timer
+  registerReconnectTimer(delay) {
+    this.unregisterReconnectTimer();
+
+    this.reconnectTimer = this.homey.setTimeout(() => {
+      this.reconnectTimer = null;
+      this.connect().catch(this.error);
+    }, delay);
+
+    this.log(`Reconnecting in ${Math.round(delay / 1000)} seconds`);
+  }
+
+  // Unregister reconnect timer
+  unregisterReconnectTimer() {
+    if (!this.reconnectTimer) return;
+
+    this.homey.clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+  }
+
+  /*
+  | Log functions
+  */
+
+  // Log message with session prefix
+  log(...args) {
+    this.app.log(`[Stream ${this.sessionId}]`, ...args);
+  }
+
+  // Log error with session prefix
+  error(...args) {
+    this.app.error(`[Stream ${this.sessionId}]`, ...args);
+  }
+
+}
+
+module.exports = Stream;
@@ -0,0 +1,90 @@
+'use strict';
+
+const { EventEmitter } = require('events');
+const { StringDecoder } = require('string_decoder');
+const { blank } = require('./Utils');
+
+class StreamParser extends EventEmitter {
+
+  static DELIMITER = /\r?\n/;
+  static MAX_BUFFER_SIZE = 1024 * 1024; // Bytes
+
+  // Messages with a dedicated event
+  static MESSAGES = ['handshake', 'keep-alive', 'tracker_status'];
+
+  constructor() {
+    super();
+
+    this.reset();
+  }
+
+  /*
+  | Parser functions
+  */
+
+  // Write chunk received from stream
+  write(chunk) {
+    this.buffer += this.decoder.write(Buffer.from(chunk));
+
+    const lines = this.buffer.split(this.constructor.DELIMITER);
+
+    // Last line is incomplete until a delimiter is received
+    this.buffer = lines.pop();
+
+    for (const line of lines) {
+      this.parse(line);
+    }
+
+    // Prevent unbounded growth when no delimiter arrives
+    if (Buffer.byteLength(this.buffer) > this.constructor.MAX_BUFFER_SIZE) {
+      this.emit('invalid', this.buffer.slice(0, 100), new Error('Maximum buffer size exceeded'));
+
+      this.buffer = '';
+    }
+  }
+
+  // Stream ended, parse remaining buffer
+  end() {
+    this.buffer += this.decoder.end();
+
+    this.parse(this.buffer);
+
+    this.buffer = '';
+  }
+
+  // Reset parser state
+  reset() {
+    this.buffer = '';
+    this.decoder = new StringDecoder('utf8');
+  }
+
+  // Parse single message
+  parse(line) {
+    if (blank(line)) return;
+
+    let data;
+
+    try {
+      data = JSON.parse(line);
+    } catch (err) {
+      this.emit('invalid', line, err);
+
+      return;
+    }
+
+    if (blank(data) || typeof data !== 'object' || blank(data.message)) {
+      this.emit('invalid', line, new Error('Missing message type'));
+
+      return;
+    }
+
+    if (this.constructor.MESSAGES.includes(data.message)) {
+      this.emit(data.message, data);
+    } else {
+      this.emit('unknown', data);
+    }
+  }
+
+}
+
+module.exports = StreamParser;
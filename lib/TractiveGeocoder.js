@@ -0,0 +1,21 @@
+'use strict';
+
+const Geocoder = require('./Geocoder');
+
+// Reverse geocoder using the Tractive geo endpoint
+class TractiveGeocoder extends Geocoder {
+
+  constructor(client) {
+    super();
+
+    this.client = client;
+  }
+
+  // Return address by coordinates
+  async reverse(latitude, longitude) {
+    return this.client.getAddress(latitude, longitude);
+  }
+
+}
+
+module.exports = TractiveGeocoder;
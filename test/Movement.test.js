@@ -0,0 +1,41 @@
+'use strict';
+
+const assert = require('assert');
+const { describe, it } = require('node:test');
+const Movement = require('../lib/Movement');
+
+// Positions walking north (about 5 km/h), with a cell position jump
+const positions = [
+  {
+    timestamp: 0, latitude: 52.0, longitude: 5.0, accuracy: 10,
+  },
+  {
+    timestamp: 60000, latitude: 52.00075, longitude: 5.0, accuracy: 10,
+  },
+  {
+    timestamp: 90000, latitude: 52.02, longitude: 5.02, accuracy: 1500,
+  },
+  {
+    timestamp: 120000, latitude: 52.0015, longitude: 5.0,
+  },
+];
+
+describe('Movement', () => {
+  it('ignores positions above the accuracy limit', () => {
+    const accurate = Movement.accurate(positions, 100);
+
+    assert.deepStrictEqual(accurate.map((position) => position.timestamp), [0, 60000, 120000]);
+  });
+
+  it('classifies a cell position jump as vehicle, but not the accurate positions', () => {
+    assert.strictEqual(Movement.classify(Movement.speed(positions)), 'vehicle');
+    assert.strictEqual(Movement.classify(Movement.speed(Movement.accurate(positions, 100))), 'walking');
+  });
+
+  it('returns zero seconds when not moving at least the given speed', () => {
+    const accurate = Movement.accurate(positions, 100);
+
+    assert.strictEqual(Movement.durationAbove(accurate, 20), 0);
+    assert.strictEqual(Movement.durationAbove(accurate, 3), 120);
+  });
+});
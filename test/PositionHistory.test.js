@@ -0,0 +1,90 @@
+'use strict';
+
+const assert = require('assert');
+const { describe, it } = require('node:test');
+const PositionHistory = require('../lib/PositionHistory');
+
+const MINUTE = 1000 * 60;
+
+// Return history with positions at given minutes
+const history = function history(minutes) {
+  return new PositionHistory(minutes.map((minute) => ({ timestamp: minute * MINUTE })));
+};
+
+describe('PositionHistory', () => {
+  describe('add', () => {
+    it('keeps the whole period covered when filled past the maximum size', () => {
+      const positions = new PositionHistory([], 10);
+
+      for (let minute = 0; minute < 60; minute++) {
+        positions.add({ timestamp: minute * MINUTE });
+      }
+
+      assert.strictEqual(positions.size, 10);
+      assert.strictEqual(positions.positions[0].timestamp, 0);
+      assert.strictEqual(positions.latest().timestamp, 59 * MINUTE);
+
+      // Oldest period is still known
+      assert.ok(positions.at(5 * MINUTE));
+      assert.deepStrictEqual(positions.gaps(0, 59 * MINUTE, 10 * MINUTE), []);
+    });
+
+    it('thins out the densest period first', () => {
+      const positions = new PositionHistory([], 10);
+
+      // One position every 10 minutes, then LIVE Tracking every 5 seconds
+      for (let minute = 0; minute <= 60; minute += 10) {
+        positions.add({ timestamp: minute * MINUTE });
+      }
+
+      for (let second = 5; second <= 300; second += 5) {
+        positions.add({ timestamp: (60 * MINUTE) + (second * 1000) });
+      }
+
+      const timestamps = positions.positions.map((position) => position.timestamp);
+
+      assert.strictEqual(positions.size, 10);
+      assert.deepStrictEqual(timestamps.slice(0, 6), [0, 10, 20, 30, 40, 50].map((minute) => minute * MINUTE));
+      assert.strictEqual(positions.latest().timestamp, 65 * MINUTE);
+    });
+
+    it('drops positions older than the maximum age', () => {
+      const positions = new PositionHistory([{ timestamp: 0 }, { timestamp: 60 * MINUTE }], 10, 24);
+
+      positions.add({ timestamp: (24 * 60 * MINUTE) + (30 * MINUTE) });
+
+      assert.deepStrictEqual(positions.positions.map((position) => position.timestamp), [60 * MINUTE, (24 * 60 * MINUTE) + (30 * MINUTE)]);
+    });
+  });
+
+  describe('gaps', () => {
+    it('returns a gap between known positions', () => {
+      // Restart: position before shutdown and position of first sync
+      const gaps = history([0, 1, 2, 60]).gaps(2 * MINUTE, 61 * MINUTE, 5 * MINUTE);
+
+      assert.deepStrictEqual(gaps, [{ from: 2 * MINUTE, to: 60 * MINUTE }]);
+    });
+
+    it('returns gaps inside the history and at its end', () => {
+      const gaps = history([0, 10, 12, 30]).gaps(0, 40 * MINUTE, 5 * MINUTE);
+
+      assert.deepStrictEqual(gaps, [
+        { from: 0, to: 10 * MINUTE },
+        { from: 12 * MINUTE, to: 30 * MINUTE },
+        { from: 30 * MINUTE, to: 40 * MINUTE },
+      ]);
+    });
+
+    it('returns no gaps when positions are close enough', () => {
+      const gaps = history([0, 4, 8, 12]).gaps(0, 14 * MINUTE, 5 * MINUTE);
+
+      assert.deepStrictEqual(gaps, []);
+    });
+
+    it('returns the whole period when the history is empty', () => {
+      const gaps = history([]).gaps(0, 60 * MINUTE, 5 * MINUTE);
+
+      assert.deepStrictEqual(gaps, [{ from: 0, to: 60 * MINUTE }]);
+    });
+  });
+});
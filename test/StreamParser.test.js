@@ -0,0 +1,144 @@
+'use strict';
+
+const assert = require('assert');
+const { describe, it } = require('node:test');
+const StreamParser = require('../lib/StreamParser');
+
+const EVENTS = ['handshake', 'keep-alive', 'tracker_status', 'unknown', 'invalid'];
+
+// Replay chunk sequence and return emitted events
+const replay = function replay(chunks, { end = false } = {}) {
+  const parser = new StreamParser();
+  const events = [];
+
+  for (const name of EVENTS) {
+    parser.on(name, (...args) => events.push({ name, args }));
+  }
+
+  for (const chunk of chunks) {
+    parser.write(chunk);
+  }
+
+  if (end) parser.end();
+
+  return { parser, events };
+};
+
+describe('StreamParser', () => {
+  it('joins a message split across chunks', () => {
+    const { events } = replay([
+      '{"message":"tracker_',
+      'status","tracker_id":"ABC',
+      'DEF","hardware":{"battery_level":80}}',
+      '\n',
+    ]);
+
+    assert.strictEqual(events.length, 1);
+    assert.strictEqual(events[0].name, 'tracker_status');
+    assert.strictEqual(events[0].args[0].tracker_id, 'ABCDEF');
+    assert.strictEqual(events[0].args[0].hardware.battery_level, 80);
+  });
+
+  it('splits several messages in one chunk', () => {
+    const { events } = replay([
+      '{"message":"keep-alive"}\n{"message":"tracker_status","tracker_id":"A"}\n{"message":"tracker_status","tracker_id":"B"}\n',
+    ]);
+
+    assert.deepStrictEqual(events.map((event) => event.name), ['keep-alive', 'tracker_status', 'tracker_status']);
+    assert.strictEqual(events[2].args[0].tracker_id, 'B');
+  });
+
+  it('keeps the incomplete last line until a delimiter arrives', () => {
+    const { parser, events } = replay([
+      '{"message":"keep-alive"}\n{"message":"tracker_status",',
+    ]);
+
+    assert.strictEqual(events.length, 1);
+    assert.strictEqual(parser.buffer, '{"message":"tracker_status",');
+  });
+
+  it('decodes a multibyte character split across chunks', () => {
+    const body = Buffer.from('{"message":"tracker_status","pet":{"name":"Bäcksi 🐶"}}\n');
+    const split = body.indexOf(Buffer.from('ä')) + 1;
+    const emoji = body.indexOf(Buffer.from('🐶')) + 2;
+
+    const { events } = replay([
+      body.subarray(0, split),
+      body.subarray(split, emoji),
+      body.subarray(emoji),
+    ]);
+
+    assert.strictEqual(events.length, 1);
+    assert.strictEqual(events[0].name, 'tracker_status');
+    assert.strictEqual(events[0].args[0].pet.name, 'Bäcksi 🐶');
+  });
+
+  it('accepts CRLF line endings', () => {
+    const { events } = replay([
+      '{"message":"handshake","keepAliveTTL":60}\r',
+      '\n{"message":"keep-alive"}\r\n',
+    ]);
+
+    assert.deepStrictEqual(events.map((event) => event.name), ['handshake', 'keep-alive']);
+    assert.strictEqual(events[0].args[0].keepAliveTTL, 60);
+  });
+
+  it('emits handshake and keep-alive frames', () => {
+    const { events } = replay([
+      '{"message":"handshake","keepAliveTTL":30}\n',
+      '{"message":"keep-alive","keepAliveTTL":45}\n',
+    ]);
+
+    assert.deepStrictEqual(events.map((event) => event.name), ['handshake', 'keep-alive']);
+    assert.strictEqual(events[0].args[0].keepAliveTTL, 30);
+    assert.strictEqual(events[1].args[0].keepAliveTTL, 45);
+  });
+
+  it('ignores empty lines', () => {
+    const { events } = replay(['\n\r\n   \n{"message":"keep-alive"}\n\n']);
+
+    assert.deepStrictEqual(events.map((event) => event.name), ['keep-alive']);
+  });
+
+  it('emits unknown frames', () => {
+    const { events } = replay(['{"message":"pet_status","pet_id":"X"}\n']);
+
+    assert.strictEqual(events.length, 1);
+    assert.strictEqual(events[0].name, 'unknown');
+    assert.strictEqual(events[0].args[0].message, 'pet_status');
+  });
+
+  it('emits invalid frames and continues parsing', () => {
+    const { events } = replay([
+      '{"message":\n',
+      '{"tracker_id":"A"}\n',
+      '"keep-alive"\n',
+      '{"message":"keep-alive"}\n',
+    ]);
+
+    assert.deepStrictEqual(events.map((event) => event.name), ['invalid', 'invalid', 'invalid', 'keep-alive']);
+    assert.strictEqual(events[0].args[0], '{"message":');
+    assert.ok(events[0].args[1] instanceof SyntaxError);
+    assert.strictEqual(events[1].args[1].message, 'Missing message type');
+    assert.strictEqual(events[2].args[1].message, 'Missing message type');
+  });
+
+  it('parses the remaining buffer when the stream ends', () => {
+    const { parser, events } = replay(['{"message":"keep-alive"}\n{"message":"tracker_status"}'], { end: true });
+
+    assert.deepStrictEqual(events.map((event) => event.name), ['keep-alive', 'tracker_status']);
+    assert.strictEqual(parser.buffer, '');
+  });
+
+  it('drops the buffer when it exceeds the maximum size', () => {
+    const size = StreamParser.MAX_BUFFER_SIZE;
+    const half = `{"message":"tracker_status","data":"${'x'.repeat(size / 2)}`;
+
+    const { parser, events } = replay([half, half, '"}\n', '{"message":"keep-alive"}\n']);
+
+    assert.deepStrictEqual(events.map((event) => event.name), ['invalid', 'invalid', 'keep-alive']);
+    assert.strictEqual(events[0].args[0].length, 100);
+    assert.strictEqual(events[0].args[1].message, 'Maximum buffer size exceeded');
+    assert.strictEqual(parser.buffer, '');
+  });
+});